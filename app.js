@@ -121,8 +121,16 @@ function openDB() {
   });
 }
 
+/**
+ * Firestoreのドキュメントをレコードに変換（取引明細はドキュメントIDを id に格納）
+ */
+function fsDocToRecord(store, doc) {
+  return store === 'transactions' ? { ...doc.data(), id: doc.id } : doc.data();
+}
+
 /**
  * データを保存（Firestore / IndexedDB デュアルモード）
+ * 取引明細は id があれば更新、なければ新規追加
  */
 async function dbPut(store, data) {
   if (useFirestore && currentUser) {
@@ -131,7 +139,9 @@ async function dbPut(store, data) {
     if (store === 'months') docId = monthToDocId(data.month);
     else if (store === 'config') docId = data.key;
     else {
-      await firestore.collection(col).add(data);
+      const { id, ...rest } = data;
+      if (id === undefined) await firestore.collection(col).add(rest);
+      else await firestore.collection(col).doc(String(id)).set(rest);
       return;
     }
     await firestore.collection(col).doc(docId).set(data);
@@ -151,7 +161,7 @@ async function dbPut(store, data) {
 async function dbGetAll(store) {
   if (useFirestore && currentUser) {
     const snap = await firestore.collection(fsPath(store)).get();
-    return snap.docs.map(d => d.data());
+    return snap.docs.map(d => fsDocToRecord(store, d));
   }
   return new Promise((res, rej) => {
     const tx = db.transaction(store, 'readonly');
@@ -168,8 +178,8 @@ async function dbGet(store, key) {
   if (useFirestore && currentUser) {
     let docId = key;
     if (store === 'months') docId = monthToDocId(key);
-    const doc = await firestore.collection(fsPath(store)).doc(docId).get();
-    return doc.exists ? doc.data() : undefined;
+    const doc = await firestore.collection(fsPath(store)).doc(String(docId)).get();
+    return doc.exists ? fsDocToRecord(store, doc) : undefined;
   }
   return new Promise((res, rej) => {
     const tx = db.transaction(store, 'readonly');
@@ -185,7 +195,7 @@ async function dbGet(store, key) {
 async function dbGetByIndex(store, idx, val) {
   if (useFirestore && currentUser) {
     const snap = await firestore.collection(fsPath(store)).where(idx, '==', val).get();
-    return snap.docs.map(d => d.data());
+    return snap.docs.map(d => fsDocToRecord(store, d));
   }
   return new Promise((res, rej) => {
     const tx = db.transaction(store, 'readonly');
@@ -224,7 +234,7 @@ async function dbDelete(store, key) {
   if (useFirestore && currentUser) {
     let docId = key;
     if (store === 'months') docId = monthToDocId(key);
-    await firestore.collection(fsPath(store)).doc(docId).delete();
+    await firestore.collection(fsPath(store)).doc(String(docId)).delete();
     return;
   }
   return new Promise((res, rej) => {
@@ -264,18 +274,40 @@ async function dbDeleteByMonth(month) {
 
 /**
  * Firestore バッチ書き込みヘルパー（500件制限対応）
+ * id を持つレコードはそのIDのドキュメントを上書き
  */
 async function fsBatchWrite(colPath, items) {
   const BS = 450;
   for (let i = 0; i < items.length; i += BS) {
     const batch = firestore.batch();
     items.slice(i, i + BS).forEach(item => {
-      batch.set(firestore.collection(colPath).doc(), item);
+      const { id, ...rest } = item;
+      const ref = id === undefined ? firestore.collection(colPath).doc() : firestore.collection(colPath).doc(String(id));
+      batch.set(ref, rest);
     });
     await batch.commit();
   }
 }
 
+/**
+ * 複数件をまとめて保存（Firestore / IndexedDB デュアルモード）
+ */
+async function dbBulkPut(store, items) {
+  if (!items.length) return;
+  if (useFirestore && currentUser) {
+    await fsBatchWrite(fsPath(store), items);
+    return;
+  }
+  if (!db) throw new Error('データベースが初期化されていません');
+  return new Promise((res, rej) => {
+    const tx = db.transaction(store, 'readwrite');
+    const st = tx.objectStore(store);
+    items.forEach(item => st.put(item));
+    tx.oncomplete = () => res();
+    tx.onerror = e => rej(e);
+  });
+}
+
 // ========================================
 // 設定管理
 // ========================================
@@ -283,6 +315,15 @@ async function fsBatchWrite(colPath, items) {
 /** 予算設定 {費目: 金額} */
 let BUDGETS = {};
 
+/** 中項目別予算 {大項目: {中項目: 金額}}（任意） */
+let SUB_BUDGETS = {};
+
+/** 予算の設定方法 {費目: {annual: 年額で設定, rollover: 未使用分を翌月に繰越}} */
+let BUDGET_OPTIONS = {};
+
+/** 月別の予算上書き {"YYYY/MM": {費目: 金額}} */
+let BUDGET_OVERRIDES = {};
+
 /** 固定費カテゴリのSet */
 let FIXED_CATS = new Set(["住宅", "保険", "通信費", "教養・教育"]);
 
@@ -292,6 +333,67 @@ let currentTheme = 'dark';
 /** 現在のフォントスケール */
 let currentFontScale = 1.15;
 
+/** 会計期間の開始日（1: 暦月、25: 25日〜翌月24日を翌月分として集計） */
+let PERIOD_START_DAY = 1;
+
+/**
+ * 自動分類ルール（上から順に判定し、最初に一致したルールを適用）
+ * @type {Array<{field: string, type: string, pattern: string, minAmount: number, maxAmount: number, category: string, subcategory: string}>}
+ */
+let RECAT_RULES = [];
+
+/**
+ * 収入の分類ルール（上から順に判定。action: "label" | "points" | "refund"）
+ * @type {Array<{field: string, type: string, pattern: string, action: string, label: string}>}
+ */
+let INCOME_RULES = defaultIncomeRules();
+
+/** 返金（大項目が支出カテゴリのプラスの行）を支出と相殺するか（false: 収入として計上） */
+let REFUND_NETTING = true;
+
+/** 予算アラートのしきい値（予算に対する%。warn: 注意、over: 超過） */
+let BUDGET_ALERT = { warn: 80, over: 100 };
+
+/**
+ * 貯蓄目標（目標貯蓄率・毎月の目標額・長期目標）
+ * @type {{rate: number, amount: number, goals: Array<{name: string, target: number, start: string, due: string, share: number}>}}
+ */
+let SAVINGS_GOALS = defaultSavingsGoals();
+
+/** 口座の開始残高 {金融機関: {opening: 開始月初の残高, since: 開始月キー}} */
+let ACCOUNTS = {};
+
+/** 残高CSVから取り込んだ月末残高 {"YYYY/MM": {金融機関 or "合計": 残高}} */
+let BALANCE_SNAPSHOTS = {};
+
+/**
+ * クレジットカードの請求設定 {金融機関: {close: 締め日, pay: 引落日, offset: 締め月から引落月までの月数, bank: 引落口座}}
+ * close / pay の 0 は月末
+ */
+let CARD_BILLING = {};
+
+/**
+ * 定期支払いとして登録した支払い {店舗名（merchantOf で名寄せしたもの）: 登録時の金額}
+ * 金額が近い支払いだけを費目に関係なく固定費として集計（金額が null の旧形式の登録は金額を問わない）
+ */
+let RECURRING_MARKS = new Map();
+
+/** 異常検知のしきい値 */
+let ANOMALY_THRESHOLDS = defaultAnomalyThresholds();
+
+/** 非表示にした異常検知の結果のID */
+let ANOMALY_DISMISSED = new Set();
+
+/** 店舗の別名 [{pattern: 含む語, name: 店舗名}] */
+let MERCHANT_ALIASES = defaultMerchantAliases();
+
+/**
+ * 世帯メンバーと共有費の設定
+ * members: [{name, share: 既定の負担割合}], accounts: {金融機関: メンバー名},
+ * sharedCats: {大項目: null（既定の割合） or {メンバー名: 割合}}
+ */
+let HOUSEHOLD = { members: [], accounts: {}, sharedCats: {} };
+
 /** フォントサイズ選択肢 */
 const FONT_SIZES = [
   { key: 'small', label: '小', scale: 1.0 },
@@ -306,6 +408,15 @@ async function loadConfig() {
   const b = await dbGet('config', 'budgets');
   if (b) BUDGETS = b.value;
 
+  const sb = await dbGet('config', 'subBudgets');
+  if (sb) SUB_BUDGETS = sb.value;
+
+  const bo = await dbGet('config', 'budgetOptions');
+  if (bo) BUDGET_OPTIONS = bo.value;
+
+  const bv = await dbGet('config', 'budgetOverrides');
+  if (bv) BUDGET_OVERRIDES = bv.value;
+
   const f = await dbGet('config', 'fixed');
   if (f) FIXED_CATS = new Set(f.value);
 
@@ -324,6 +435,61 @@ async function loadConfig() {
     currentFontScale = fs.value;
     document.documentElement.style.setProperty('--font-scale', fs.value);
   }
+
+  // 会計期間の開始日読み込み
+  const ps = await dbGet('config', 'periodStart');
+  if (ps) PERIOD_START_DAY = ps.value;
+
+  // 自動分類ルール読み込み
+  const rr = await dbGet('config', 'recatRules');
+  if (rr) RECAT_RULES = rr.value;
+
+  // 収入の分類読み込み
+  const ir = await dbGet('config', 'incomeRules');
+  if (ir) INCOME_RULES = ir.value;
+
+  // 返金の扱い読み込み
+  const rn = await dbGet('config', 'refundNetting');
+  if (rn) REFUND_NETTING = rn.value;
+
+  // 予算アラートのしきい値読み込み
+  const ba = await dbGet('config', 'budgetAlert');
+  if (ba) BUDGET_ALERT = ba.value;
+
+  // 貯蓄目標読み込み
+  const sg = await dbGet('config', 'savingsGoals');
+  if (sg) SAVINGS_GOALS = sg.value;
+
+  // 口座残高読み込み
+  const ac = await dbGet('config', 'accounts');
+  if (ac) ACCOUNTS = ac.value;
+  const bs = await dbGet('config', 'balanceSnapshots');
+  if (bs) BALANCE_SNAPSHOTS = bs.value;
+
+  // カードの請求設定読み込み
+  const cb = await dbGet('config', 'cardBilling');
+  if (cb) CARD_BILLING = cb.value;
+
+  // 異常検知のしきい値・非表示にした結果の読み込み
+  const at = await dbGet('config', 'anomalyThresholds');
+  if (at) ANOMALY_THRESHOLDS = { ...defaultAnomalyThresholds(), ...at.value };
+  const ad = await dbGet('config', 'anomalyDismissed');
+  if (ad) ANOMALY_DISMISSED = new Set(ad.value);
+
+  // 店舗の別名読み込み
+  const ma = await dbGet('config', 'merchantAliases');
+  if (ma) MERCHANT_ALIASES = ma.value;
+
+  // 定期支払いの登録読み込み（店舗名で照合するため別名の後。旧形式のキーは店舗名に移行して保存）
+  const rc = await dbGet('config', 'recurring');
+  if (rc) {
+    RECURRING_MARKS = await recurringMarksFrom(rc.value);
+    if (rc.value.some(v => !v || v.merchant === undefined)) await saveRecurringMarks();
+  }
+
+  // 世帯メンバー・共有費の設定読み込み
+  const hh = await dbGet('config', 'household');
+  if (hh) HOUSEHOLD = { members: [], accounts: {}, sharedCats: {}, ...hh.value };
 }
 
 /**
@@ -331,6 +497,9 @@ async function loadConfig() {
  */
 async function saveConfig() {
   await dbPut('config', { key: 'budgets', value: BUDGETS });
+  await dbPut('config', { key: 'subBudgets', value: SUB_BUDGETS });
+  await dbPut('config', { key: 'budgetOptions', value: BUDGET_OPTIONS });
+  await dbPut('config', { key: 'budgetOverrides', value: BUDGET_OVERRIDES });
   await dbPut('config', { key: 'fixed', value: [...FIXED_CATS] });
 }
 
@@ -358,6 +527,105 @@ async function setFontScale(scale) {
   await dbPut('config', { key: 'fontSize', value: scale });
 }
 
+/**
+ * 会計期間の開始日を設定
+ * @param {number} day - 開始日（1〜28）
+ */
+async function setPeriodStartDay(day) {
+  PERIOD_START_DAY = Math.min(Math.max(parseInt(day, 10) || 1, 1), 28);
+  await dbPut('config', { key: 'periodStart', value: PERIOD_START_DAY });
+  if (allMonths.length) toast('ℹ️ 取込済みのデータに反映するにはCSVを再取込してください', 4000);
+  renderAll();
+}
+
+/**
+ * 返金の扱いを設定
+ * @param {boolean} on - true: 支出と相殺 / false: 収入として計上
+ */
+async function setRefundNetting(on) {
+  REFUND_NETTING = on;
+  await dbPut('config', { key: 'refundNetting', value: on });
+  if (allMonths.length) toast('ℹ️ 取込済みのデータは「収入の分類」の「保存済みの収入に再適用」で反映されます', 4000);
+}
+
+/**
+ * 予算アラートのしきい値を設定
+ * @param {string} key - "warn" or "over"
+ * @param {number} pct - 予算に対する%
+ */
+async function setBudgetAlert(key, pct) {
+  const next = { ...BUDGET_ALERT, [key]: parseInt(pct, 10) || 100 };
+  // 注意ラインが超過ラインを上回ると「注意」にならないため受け付けない
+  if (next.warn > next.over) {
+    toast('⚠️ 注意のしきい値は超過のしきい値以下にしてください');
+    return;
+  }
+  BUDGET_ALERT = next;
+  await dbPut('config', { key: 'budgetAlert', value: BUDGET_ALERT });
+  renderAll();
+}
+
+// ========================================
+// 会計期間
+// ========================================
+
+/**
+ * 月キーを指定月数だけずらす
+ * @param {string} mk - 月キー（例: "2026/01"）
+ * @param {number} delta - ずらす月数
+ * @returns {string} 月キー
+ */
+function shiftMonth(mk, delta) {
+  const [y, m] = mk.split('/').map(Number);
+  const d = new Date(y, m - 1 + delta, 1);
+  return `${d.getFullYear()}/${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * 日付が属する会計期間の月キーを取得
+ * 開始日が25日なら 2025/12/25〜2026/01/24 が "2026/01" になる
+ * @param {string} dt - 日付（"2026/01/22" または "2026-01-22" 形式）
+ * @returns {string} 月キー、解釈できない場合は空文字
+ */
+function periodOfDate(dt) {
+  const mk = monthOfDate(dt);
+  if (!mk || PERIOD_START_DAY <= 1) return mk;
+  const day = parseInt(dt.match(/\d{4}[\/-]\d{1,2}[\/-](\d{1,2})/)[1], 10);
+  return day >= PERIOD_START_DAY ? shiftMonth(mk, 1) : mk;
+}
+
+/**
+ * 今日が属する会計期間の月キーを取得
+ * @returns {string} 月キー
+ */
+function currentPeriod() {
+  const now = new Date();
+  return periodOfDate(`${now.getFullYear()}/${now.getMonth() + 1}/${now.getDate()}`);
+}
+
+/**
+ * 会計期間の日付範囲ラベルを取得
+ * @param {string} mk - 月キー
+ * @returns {string} "12/25〜1/24" 形式（暦月の場合は空文字）
+ */
+function periodRangeLabel(mk) {
+  if (!mk || PERIOD_START_DAY <= 1) return '';
+  const [, sm] = shiftMonth(mk, -1).split('/').map(Number);
+  const [, em] = mk.split('/').map(Number);
+  return `${sm}/${PERIOD_START_DAY}〜${em}/${PERIOD_START_DAY - 1}`;
+}
+
+/**
+ * 会計期間の初日と末日を取得
+ * @param {string} mk - 月キー
+ * @returns {{start: Date, end: Date}} 初日と末日
+ */
+function periodBounds(mk) {
+  const [y, m] = mk.split('/').map(Number);
+  if (PERIOD_START_DAY <= 1) return { start: new Date(y, m - 1, 1), end: new Date(y, m, 0) };
+  return { start: new Date(y, m - 2, PERIOD_START_DAY), end: new Date(y, m - 1, PERIOD_START_DAY - 1) };
+}
+
 // ========================================
 // 状態管理
 // ========================================
@@ -376,7 +644,7 @@ let periodMode = false;
 
 /**
  * 月次サマリーデータ
- * @type {Object.<string, {income: number, expenses: Object, points: number, incomeDetail: Object, sankeyFlows: Array, nodeColumn: Object}>}
+ * @type {Object.<string, {income: number, expenses: Object, subExpenses: Object, points: number, incomeDetail: Object, sankeyFlows: Array, nodeColumn: Object}>}
  */
 let monthSummaries = {};
 
@@ -384,6 +652,9 @@ let monthSummaries = {};
  * 全月のデータをIndexedDBから読み込み
  */
 async function loadAllMonths() {
+  txnListCache = { key: null, txns: [] };
+  recurringCache = null;
+  anomalyCache = {};
   const data = await dbGetAll('months');
   monthSummaries = {};
   data.forEach(d => monthSummaries[d.month] = d);
@@ -410,6 +681,7 @@ function cd() {
   return monthSummaries[selectedMonth] || {
     income: 0,
     expenses: {},
+    subExpenses: {},
     points: 0,
     incomeDetail: {},
     sankeyFlows: [],
@@ -473,6 +745,9 @@ document.querySelectorAll('.nav-i[data-view]').forEach(el => {
       dashboard: 'ダッシュボード',
       sankey: 'お金の流れ',
       trend: 'トレンド分析',
+      txns: '取引一覧',
+      assets: '資産推移',
+      billing: '請求予定',
       settings: '設定'
     };
     document.getElementById('viewTitle').textContent = titles[el.dataset.view];
@@ -485,7 +760,14 @@ document.querySelectorAll('.nav-i[data-view]').forEach(el => {
     if (el.dataset.view === 'trend') {
       renderFV();
       renderSav();
+      renderCatTrend();
+      renderMerchantRanking();
+      renderRecurring();
+      renderTagReport();
     }
+    if (el.dataset.view === 'txns') renderTxnList();
+    if (el.dataset.view === 'assets') renderAssets();
+    if (el.dataset.view === 'billing') renderBilling();
     if (el.dataset.view === 'settings') renderSettings();
   });
 });
@@ -503,6 +785,14 @@ function renderMonthNav() {
     picker.min = allMonths[0].replace('/', '-');
     picker.max = allMonths[allMonths.length - 1].replace('/', '-');
   }
+
+  // 会計期間の日付範囲（例: "12/25〜1/24"）
+  const pl = document.getElementById('monthPeriod');
+  if (pl) {
+    const range = periodRangeLabel(selectedMonth);
+    pl.textContent = range ? `${selectedMonth} (${range})` : '';
+    pl.style.display = range ? '' : 'none';
+  }
 }
 
 /**
@@ -520,9 +810,7 @@ function pickMonth(val) {
  */
 function changeMonth(delta) {
   if (!selectedMonth) return;
-  const [y, m] = selectedMonth.split('/').map(Number);
-  const d = new Date(y, m - 1 + delta, 1);
-  const newMonth = `${d.getFullYear()}/${String(d.getMonth() + 1).padStart(2, '0')}`;
+  const newMonth = shiftMonth(selectedMonth, delta);
   if (allMonths.length) {
     if (newMonth < allMonths[0] || newMonth > allMonths[allMonths.length - 1]) return;
   }
@@ -538,6 +826,149 @@ function selMonth(m) {
   renderAll();
 }
 
+// ========================================
+// 実効予算（月別上書き・年額・繰越）
+// ========================================
+
+/**
+ * 繰越を含まない月の予算を取得
+ * 月別の上書きがあればその金額、年額設定なら12等分、それ以外は毎月の予算
+ * @param {string} k - 費目
+ * @param {string} [mk] - 月キー（省略時は月別の上書きを見ない基本の月額）
+ * @returns {number} 予算
+ */
+function baseBudget(k, mk) {
+  if (mk) {
+    const ov = (BUDGET_OVERRIDES[mk] || {})[k];
+    if (ov !== undefined) return ov;
+  }
+  const b = BUDGETS[k] || 0;
+  return (BUDGET_OPTIONS[k] || {}).annual ? Math.round(b / 12) : b;
+}
+
+/**
+ * 指定月の実効予算を取得
+ * 繰越設定の費目は、データのある最初の月から前月までの未使用分（プラスのみ）を加算
+ * @param {string} k - 費目
+ * @param {string} mk - 月キー
+ * @returns {number} 実効予算
+ */
+function effectiveBudget(k, mk) {
+  if (!(BUDGET_OPTIONS[k] || {}).rollover || !allMonths.length) return baseBudget(k, mk);
+  let carry = 0;
+  for (let m = allMonths[0]; m < mk; m = shiftMonth(m, 1)) {
+    const actual = ((monthSummaries[m] || {}).expenses || {})[k] || 0;
+    carry = Math.max(0, baseBudget(k, m) + carry - actual);
+  }
+  return baseBudget(k, mk) + carry;
+}
+
+/**
+ * 指定月の全費目の実効予算の合計を取得
+ * @param {string} mk - 月キー
+ * @returns {number} 予算合計
+ */
+function totalBudget(mk) {
+  return Object.keys(BUDGETS).reduce((s, k) => s + effectiveBudget(k, mk), 0);
+}
+
+/**
+ * 毎月の予算（年額設定の場合は年額）を設定
+ * @param {string} k - 費目
+ * @param {string} value - 入力値
+ */
+function setBudget(k, value) {
+  BUDGETS[k] = parseInt(value, 10) || 0;
+  saveConfig();
+  renderAll();
+}
+
+/**
+ * 予算の設定方法を切り替え
+ * @param {string} k - 費目
+ * @param {string} opt - "annual" or "rollover"
+ * @param {boolean} on - 有効にするか
+ */
+function setBudgetOption(k, opt, on) {
+  const o = { ...BUDGET_OPTIONS[k], [opt]: on };
+  if (!o.annual && !o.rollover) delete BUDGET_OPTIONS[k];
+  else BUDGET_OPTIONS[k] = o;
+  saveConfig();
+  renderAll();
+}
+
+/**
+ * 月別の予算上書きを設定（空欄で解除）
+ * @param {string} k - 費目
+ * @param {string} mk - 月キー
+ * @param {string} value - 入力値
+ */
+function setBudgetOverride(k, mk, value) {
+  if (value === '') {
+    if (BUDGET_OVERRIDES[mk]) {
+      delete BUDGET_OVERRIDES[mk][k];
+      if (!Object.keys(BUDGET_OVERRIDES[mk]).length) delete BUDGET_OVERRIDES[mk];
+    }
+  } else {
+    (BUDGET_OVERRIDES[mk] = BUDGET_OVERRIDES[mk] || {})[k] = parseInt(value, 10) || 0;
+  }
+  saveConfig();
+  renderAll();
+}
+
+// ========================================
+// 予算アラート・月末予測
+// ========================================
+
+/**
+ * 月の取込済み日数を取得（最終取引日までの日数）
+ * 今日が属する会計期間で、取引が期間末日より前までしかない月を集計途中とみなす
+ * @param {Object} d - 月次サマリー
+ * @returns {{elapsed: number, total: number, partial: boolean}} 経過日数・期間日数・集計途中か
+ */
+function monthProgress(d) {
+  if (!d.month) return { elapsed: 1, total: 1, partial: false };
+  const { start, end } = periodBounds(d.month);
+  const total = Math.round((end - start) / 86400000) + 1;
+  if (!d.lastDate || d.month !== currentPeriod()) return { elapsed: total, total, partial: false };
+
+  const [y, m, day] = d.lastDate.split('/').map(Number);
+  const last = new Date(y, m - 1, day);
+  const elapsed = Math.min(Math.max(Math.round((last - start) / 86400000) + 1, 1), total);
+  return { elapsed, total, partial: elapsed < total };
+}
+
+/**
+ * 費目別の予算消化状況と月末予測を計算
+ * 変動費は取込済み期間の日割りペースで月末まで延長し、固定費は実績のまま（月1回の支払いを日割りしない）
+ * @param {Object} d - 月次サマリー
+ * @returns {Object<string, {actual: number, budget: number, projected: number, level: string}>} 予算のある費目ごとの状況
+ *   level: "over"（実績が超過） / "pace"（月末予測が超過） / "warn"（月末予測が注意ライン以上） / "ok"
+ */
+function budgetForecast(d) {
+  const { elapsed, total, partial } = monthProgress(d);
+  const res = {};
+  Object.entries(d.expenses || {}).forEach(([k, actual]) => {
+    const budget = effectiveBudget(k, d.month);
+    if (!budget) return;
+    const fx = fixedPart(d, k);
+    const projected = partial ? fx + Math.round((actual - fx) * total / elapsed) : actual;
+    let level = 'ok';
+    if (actual >= budget * BUDGET_ALERT.over / 100) level = 'over';
+    else if (projected >= budget * BUDGET_ALERT.over / 100) level = 'pace';
+    else if (projected >= budget * BUDGET_ALERT.warn / 100) level = 'warn';
+    res[k] = { actual, budget, projected, level };
+  });
+  return res;
+}
+
+/** 予算アラートのバッジ表示 */
+const BUDGET_BADGES = {
+  over: { label: '超過', cls: 'bdg-over' },
+  pace: { label: '超過ペース', cls: 'bdg-pace' },
+  warn: { label: '注意', cls: 'bdg-warn' }
+};
+
 // ========================================
 // KPI カード描画
 // ========================================
@@ -550,16 +981,34 @@ function renderKPI() {
   const te = Object.values(d.expenses || {}).reduce((a, b) => a + b, 0); // 総支出
   const bal = d.income - te; // 残高
   const sr = d.income > 0 ? Math.round(bal / d.income * 100) : 0; // 貯蓄率
-  const ft = Object.entries(d.expenses || {})
-    .filter(([k]) => FIXED_CATS.has(k))
-    .reduce((s, [, v]) => s + v, 0); // 固定費合計
+  const ft = fixedTotal(d); // 固定費合計（固定費扱いの定期支払いを含む）
+
+  // 予算アラート（超過・超過ペースの費目数と月末予測）
+  const fc = Object.values(budgetForecast(d));
+  const nOver = fc.filter(f => f.level === 'over' || f.level === 'pace').length;
+  const nWarn = fc.filter(f => f.level === 'warn').length;
+  const { elapsed, total, partial } = monthProgress(d);
+  const proj = Object.entries(d.expenses || {}).reduce((s, [k, v]) => {
+    const fx = fixedPart(d, k);
+    return s + (partial ? fx + Math.round((v - fx) * total / elapsed) : v);
+  }, 0);
+  // 前年同月比（前年比較モードのみ）
+  const prev = yoyMode && selectedMonth ? monthTotals(shiftMonth(selectedMonth, -12)) : null;
+  const yoy = (pct, upIsGood) => yoyMode ? `<div class="kpi-sub" style="color:${yoyColor(pct, upIsGood)}">前年比 ${pct || '—'}</div>` : '';
+  const pBal = prev ? prev.income - prev.expense : undefined;
+  const balDiff = pBal !== undefined ? `${bal - pBal >= 0 ? '+' : '−'}${F(Math.abs(bal - pBal))}` : '';
+  const pSr = prev && prev.income > 0 ? Math.round(pBal / prev.income * 100) : undefined;
+  const srDiff = pSr !== undefined ? `${sr - pSr >= 0 ? '+' : '−'}${Math.abs(sr - pSr)}pt` : '';
+
+  const alertSub = partial ? `月末予測 ${F(proj)}（${elapsed}/${total}日）` : `注意 ${nWarn}件`;
 
   document.getElementById('kpiRow').innerHTML = `
-    <div class="kpi"><div class="kpi-ic">💵</div><div class="kpi-lb">収入</div><div class="kpi-vl" style="color:var(--gn)">${F(d.income)}</div><div class="kpi-sub">ポイント除く</div></div>
-    <div class="kpi"><div class="kpi-ic">🛒</div><div class="kpi-lb">支出</div><div class="kpi-vl" style="color:var(--rd)">${F(te)}</div><div class="kpi-sub">固定${F(ft)} / 変動${F(te - ft)}</div></div>
-    <div class="kpi"><div class="kpi-ic">💰</div><div class="kpi-lb">残高</div><div class="kpi-vl" style="color:${bal >= 0 ? 'var(--bl)' : 'var(--rd)'}">${bal < 0 ? '−' : ''}${F(Math.abs(bal))}</div></div>
-    <div class="kpi"><div class="kpi-ic">🎯</div><div class="kpi-lb">貯蓄率</div><div class="kpi-vl" style="color:var(--pp)">${sr}%</div></div>
-    <div class="kpi"><div class="kpi-ic">🏷️</div><div class="kpi-lb">ポイント</div><div class="kpi-vl" style="color:var(--am)">${F(d.points || 0)}</div></div>`;
+    <div class="kpi"><div class="kpi-ic">💵</div><div class="kpi-lb">収入</div><div class="kpi-vl" style="color:var(--gn)">${F(d.income)}</div><div class="kpi-sub">ポイント除く</div>${yoy(prev && yoyPct(d.income, prev.income), true)}</div>
+    <div class="kpi"><div class="kpi-ic">🛒</div><div class="kpi-lb">支出</div><div class="kpi-vl" style="color:var(--rd)">${F(te)}</div><div class="kpi-sub">固定${F(ft)} / 変動${F(te - ft)}</div>${yoy(prev && yoyPct(te, prev.expense), false)}</div>
+    <div class="kpi"><div class="kpi-ic">💰</div><div class="kpi-lb">残高</div><div class="kpi-vl" style="color:${bal >= 0 ? 'var(--bl)' : 'var(--rd)'}">${bal < 0 ? '−' : ''}${F(Math.abs(bal))}</div>${yoy(balDiff, true)}</div>
+    <div class="kpi"><div class="kpi-ic">🎯</div><div class="kpi-lb">貯蓄率</div><div class="kpi-vl" style="color:var(--pp)">${sr}%</div>${SAVINGS_GOALS.rate ? `<div class="kpi-sub" style="color:${sr >= SAVINGS_GOALS.rate ? 'var(--gn)' : 'var(--am)'}">目標 ${SAVINGS_GOALS.rate}%</div>` : ''}${yoy(srDiff, true)}</div>
+    <div class="kpi"><div class="kpi-ic">🏷️</div><div class="kpi-lb">ポイント</div><div class="kpi-vl" style="color:var(--am)">${F(d.points || 0)}</div></div>
+    <div class="kpi"><div class="kpi-ic">🚨</div><div class="kpi-lb">予算超過${partial ? '（予測）' : ''}</div><div class="kpi-vl" style="color:${nOver ? 'var(--rd)' : nWarn ? 'var(--am)' : 'var(--gn)'}">${nOver}件</div><div class="kpi-sub">${alertSub}</div></div>`;
 }
 
 // ========================================
@@ -587,6 +1036,19 @@ function renderIncome() {
 // 支出パネル描画（明細モーダル連携）
 // ========================================
 
+/** 支出内訳パネルで中項目を展開中の大項目 */
+const expandedCats = new Set();
+
+/**
+ * 支出内訳パネルの大項目の展開/折りたたみを切り替え
+ * @param {string} k - 大項目
+ */
+function toggleExpCat(k) {
+  if (expandedCats.has(k)) expandedCats.delete(k);
+  else expandedCats.add(k);
+  renderExpense();
+}
+
 /**
  * 支出内訳パネルを描画
  */
@@ -594,6 +1056,7 @@ function renderExpense() {
   const d = cd();
   const exp = d.expenses || {};
   const entries = Object.entries(exp).sort((a, b) => b[1] - a[1]);
+  const fc = budgetForecast(d);
 
   // 固定費と変動費に分類
   const fixedE = entries.filter(([k]) => FIXED_CATS.has(k));
@@ -603,19 +1066,39 @@ function renderExpense() {
    * 費目行のHTMLを生成
    */
   const makeRows = arr => arr.map(([k, v]) => {
-    const b = BUDGETS[k] || 0;
+    const b = effectiveBudget(k, selectedMonth);
     const diff = b - v;
-    return `<div class="exp-rw" onclick="showDetail('${escapeHtml(k)}')"><span class="c">${escapeHtml(k)} 🔍</span><span class="n">${b ? F(b) : '—'}</span><span class="n" style="color:var(--tx)">${F(v)}</span><span class="${diff >= 0 ? 'dp' : 'dn'}">${diff >= 0 ? '+' : ''}${F(diff)}</span></div>`;
+    const ek = escapeHtml(k);
+    const subs = Object.entries((d.subExpenses || {})[k] || {}).sort((a, b) => b[1] - a[1]);
+    const open = expandedCats.has(k);
+    const tg = subs.length ? `<span class="exp-tg" onclick="event.stopPropagation();toggleExpCat('${ek}')">${open ? '▾' : '▸'}</span>` : '';
+    const f = fc[k];
+    const bd = f && BUDGET_BADGES[f.level];
+    const badge = bd ? `<span class="bdg ${bd.cls}" title="予算消化 ${Math.round(f.actual / f.budget * 100)}% / 月末予測 ${F(f.projected)}">${bd.label}</span>` : '';
+    let h = `<div class="exp-rw" onclick="showDetail('${ek}')"><span class="c">${tg}${ek} 🔍${badge}</span><span class="n">${b ? F(b) : '—'}</span><span class="n" style="color:var(--tx)">${F(v)}</span><span class="${diff >= 0 ? 'dp' : 'dn'}">${diff >= 0 ? '+' : ''}${F(diff)}</span></div>`;
+
+    // 中項目の内訳
+    if (open) {
+      h += subs.map(([s, sv]) => {
+        const sb = (SUB_BUDGETS[k] || {})[s] || 0;
+        const sd = sb - sv;
+        return `<div class="exp-rw exp-sub" onclick="showDetail('${ek}','${escapeHtml(s)}')"><span class="c">${escapeHtml(s)}</span><span class="n">${sb ? F(sb) : '—'}</span><span class="n">${F(sv)}</span><span class="${sb ? (sd >= 0 ? 'dp' : 'dn') : 'n'}">${sb ? `${sd >= 0 ? '+' : ''}${F(sd)}` : ''}</span></div>`;
+      }).join('');
+    }
+    return h;
   }).join('');
 
-  const fT = fixedE.reduce((s, [, v]) => s + v, 0); // 固定費合計
-  const vT = varE.reduce((s, [, v]) => s + v, 0); // 変動費合計
+  // 変動費の費目に含まれる定期支払い（固定費として集計）
+  const rec = varE.reduce((s, [k]) => s + fixedPart(d, k), 0);
+  const recRow = sign => rec ? `<div class="exp-rw exp-sub"><span class="c">🔁 定期支払い（変動費の費目から）</span><span></span><span class="n">${sign}${F(rec)}</span><span></span></div>` : '';
+  const fT = fixedE.reduce((s, [, v]) => s + v, 0) + rec; // 固定費合計
+  const vT = varE.reduce((s, [, v]) => s + v, 0) - rec; // 変動費合計
 
   document.getElementById('expPanel').innerHTML = `
     <div class="exp-hd"><span>費目</span><span style="text-align:right">予算</span><span style="text-align:right">実績</span><span style="text-align:right">差額</span></div>
-    <div class="exp-sec-h" style="margin-top:6px"><div class="sq" style="background:var(--am)"></div>固定費</div>${makeRows(fixedE)}
+    <div class="exp-sec-h" style="margin-top:6px"><div class="sq" style="background:var(--am)"></div>固定費</div>${makeRows(fixedE)}${recRow('')}
     <div class="exp-rw exp-tot"><span>小計</span><span></span><span class="n" style="color:var(--am)">${F(fT)}</span><span></span></div>
-    <div class="exp-sec-h" style="margin-top:8px"><div class="sq" style="background:var(--rd)"></div>変動費</div>${makeRows(varE)}
+    <div class="exp-sec-h" style="margin-top:8px"><div class="sq" style="background:var(--rd)"></div>変動費</div>${makeRows(varE)}${recRow('−')}
     <div class="exp-rw exp-tot"><span>小計</span><span></span><span class="n" style="color:var(--rd)">${F(vT)}</span><span></span></div>`;
 }
 
@@ -623,24 +1106,76 @@ function renderExpense() {
 // 明細モーダル
 // ========================================
 
+/** 明細モーダルに表示中の取引（行クリックで編集フォームを開く） */
+let modalTxns = [];
+
+/** 取引フォームを閉じた後に再表示する明細モーダル */
+let modalReturn = null;
+
+/** 新規取引フォームの初期値 {kind, category, account} */
+let txnFormPreset = {};
+
+/**
+ * 明細行の開始タグを生成（クリックで編集フォームを開く）
+ * @param {Object} t - 取引明細
+ * @returns {string} 開始タグのHTML
+ */
+function detailRowOpen(t) {
+  modalTxns.push(t);
+  return `<div class="detail-row editable" onclick="openTxnForm(${modalTxns.length - 1})" title="クリックで編集">`;
+}
+
+/**
+ * 返金行のバッジを生成（支出カテゴリのプラスの取引）
+ * @param {Object} t - 取引明細
+ * @returns {string} バッジのHTML（返金でなければ空文字）
+ */
+function refundBadge(t) {
+  return t.amount > 0 ? '<span class="refund-badge">返金</span>' : '';
+}
+
+/**
+ * 明細モーダル下部の「取引を追加」ボタンを生成
+ * @returns {string} ボタンのHTML
+ */
+function detailAddButton() {
+  return `<div class="detail-add"><button class="tm-btn tm-btn-cancel" onclick="openTxnForm()">＋ 取引を追加</button></div>`;
+}
+
+/**
+ * 明細モーダルの空表示を生成
+ * @returns {string} HTML
+ */
+function detailEmpty() {
+  return '<p style="color:var(--t3);font-size:14px;padding:20px;text-align:center">明細データがありません<br><small>CSVを再取込すると表示されます</small></p>' + detailAddButton();
+}
+
 /**
  * カテゴリの明細モーダルを表示
  * @param {string} cat - カテゴリ名
+ * @param {string} [sub] - 中項目（指定時はその中項目のみ表示）
+ * @param {string} [mk] - 月キー（省略時は選択月）
  */
-async function showDetail(cat) {
-  const txns = await dbGetByIndex('transactions', 'monthCat', `${selectedMonth}|||${cat}`);
-  document.getElementById('modalTitle').textContent = `${cat} — ${selectedMonth} 明細`;
+async function showDetail(cat, sub, mk = selectedMonth) {
+  let txns = await dbGetByIndex('transactions', 'monthCat', `${mk}|||${cat}`);
+  if (sub !== undefined) txns = txns.filter(t => subKey(t) === sub);
+  document.getElementById('modalTitle').textContent = `${cat}${sub !== undefined ? ` › ${sub}` : ''} — ${mk} 明細`;
+  modalTxns = [];
+  modalReturn = () => showDetail(cat, sub, mk);
+  txnFormPreset = { kind: 'expense', category: cat };
 
-  const total = txns.reduce((s, t) => s + Math.abs(t.amount), 0);
+  // 支出はマイナスで記録されているため符号を反転（返金はマイナス表示）
+  const total = txns.reduce((s, t) => s - t.amount, 0);
 
   let h = `<div class="detail-row header"><span>日付</span><span>内容</span><span style="text-align:right">金額</span><span>金融機関</span></div>`;
   txns.sort((a, b) => a.date.localeCompare(b.date)).forEach(t => {
-    h += `<div class="detail-row"><span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${escapeHtml(t.content)}</span><span class="amt" style="color:var(--rd)">${F(Math.abs(t.amount))}</span><span class="acct">${escapeHtml(t.account)}</span></div>`;
+    h += `${detailRowOpen(t)}<span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${refundBadge(t)}${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:${t.amount > 0 ? 'var(--cn)' : 'var(--rd)'}">${F(-t.amount)}</span><span class="acct">${escapeHtml(t.account)}</span></div>`;
   });
   h += `<div class="detail-total"><span>${txns.length}件</span><span style="color:var(--rd)">${FY(total)}</span></div>`;
+  h += detailAddButton();
 
   if (!txns.length) {
-    h = '<p style="color:var(--t3);font-size:14px;padding:20px;text-align:center">明細データがありません<br><small>CSVを再取込すると表示されます</small></p>';
+    h = detailEmpty();
   }
 
   document.getElementById('modalBody').innerHTML = h;
@@ -652,6 +1187,7 @@ async function showDetail(cat) {
  */
 function closeModal() {
   document.getElementById('modalBg').classList.remove('show');
+  modalReturn = null;
 }
 
 /**
@@ -661,9 +1197,13 @@ function closeModal() {
 async function showIncomeDetail(dk) {
   const txns = await dbGetByIndex('transactions', 'monthCat', `${selectedMonth}|||income|||${dk}`);
   document.getElementById('modalTitle').textContent = `${dk} — ${selectedMonth} 明細`;
+  modalTxns = [];
+  modalReturn = () => showIncomeDetail(dk);
+  const m = dk.match(/^(.*)（(.*)）$/);
+  txnFormPreset = m ? { kind: 'income', category: m[1], account: m[2] } : { kind: 'income' };
 
   if (!txns.length) {
-    document.getElementById('modalBody').innerHTML = '<p style="color:var(--t3);font-size:14px;padding:20px;text-align:center">明細データがありません<br><small>CSVを再取込すると表示されます</small></p>';
+    document.getElementById('modalBody').innerHTML = detailEmpty();
     document.getElementById('modalBg').classList.add('show');
     return;
   }
@@ -671,9 +1211,10 @@ async function showIncomeDetail(dk) {
   const total = txns.reduce((s, t) => s + t.amount, 0);
   let h = `<div class="detail-row header"><span>日付</span><span>内容</span><span style="text-align:right">金額</span><span>金融機関</span></div>`;
   txns.sort((a, b) => a.date.localeCompare(b.date)).forEach(t => {
-    h += `<div class="detail-row"><span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${escapeHtml(t.content)}</span><span class="amt" style="color:var(--gn)">${F(t.amount)}</span><span class="acct">${escapeHtml(t.account)}</span></div>`;
+    h += `${detailRowOpen(t)}<span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:var(--gn)">${F(t.amount)}</span><span class="acct">${escapeHtml(t.account)}</span></div>`;
   });
   h += `<div class="detail-total"><span>${txns.length}件</span><span style="color:var(--gn)">${FY(total)}</span></div>`;
+  h += detailAddButton();
 
   document.getElementById('modalBody').innerHTML = h;
   document.getElementById('modalBg').classList.add('show');
@@ -681,141 +1222,473 @@ async function showIncomeDetail(dk) {
 
 /**
  * 金融機関の明細モーダルを表示（収入＋支出）
- * @param {string} acc - 金融機関名
+ * @param {string} acc - 金融機関名（member なら世帯メンバー名）
+ * @param {boolean} [member=false] - メンバーに割り当てた金融機関をまとめて表示するか
  */
-async function showInstitutionDetail(acc) {
+async function showInstitutionDetail(acc, member = false) {
   const allTxns = await dbGetByIndex('transactions', 'month', selectedMonth);
-  const txns = allTxns.filter(t => t.account === acc);
-  document.getElementById('modalTitle').textContent = `${acc} — ${selectedMonth} 明細`;
+  const txns = allTxns.filter(t => member ? memberOfAccount(t.account) === acc : t.account === acc);
+  document.getElementById('modalTitle').textContent = `${member ? `👤 ${acc}` : acc} — ${selectedMonth} 明細`;
+  modalTxns = [];
+  modalReturn = () => showInstitutionDetail(acc, member);
+  txnFormPreset = member ? { kind: 'expense' } : { kind: 'expense', account: acc };
 
   if (!txns.length) {
-    document.getElementById('modalBody').innerHTML = '<p style="color:var(--t3);font-size:14px;padding:20px;text-align:center">明細データがありません<br><small>CSVを再取込すると表示されます</small></p>';
+    document.getElementById('modalBody').innerHTML = detailEmpty();
     document.getElementById('modalBg').classList.add('show');
     return;
   }
 
-  const incomeTxns = txns.filter(t => t.category === 'income');
-  const expenseTxns = txns.filter(t => t.category !== 'income');
+  const incomeTxns = txns.filter(t => t.category === 'income' || t.category === 'points');
+  const transferTxns = txns.filter(t => t.category === 'transfer');
+  const expenseTxns = txns.filter(t => !incomeTxns.includes(t) && !transferTxns.includes(t));
+  const pairs = pairTransfers(allTxns.filter(t => t.category === 'transfer'));
 
   let h = `<div class="detail-row header"><span>日付</span><span>内容</span><span style="text-align:right">金額</span><span>カテゴリ</span></div>`;
 
   if (incomeTxns.length) {
     h += `<div style="font-size:12px;font-weight:700;padding:6px 0 2px;color:var(--gn)">収入</div>`;
     incomeTxns.sort((a, b) => a.date.localeCompare(b.date)).forEach(t => {
-      h += `<div class="detail-row"><span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${escapeHtml(t.content)}</span><span class="amt" style="color:var(--gn)">${F(t.amount)}</span><span class="acct">${escapeHtml(t.subcategory)}</span></div>`;
+      h += `${detailRowOpen(t)}<span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:var(--gn)">${F(t.amount)}</span><span class="acct">${escapeHtml(t.subcategory)}</span></div>`;
     });
   }
   if (expenseTxns.length) {
     h += `<div style="font-size:12px;font-weight:700;padding:6px 0 2px;color:var(--rd)">支出</div>`;
     expenseTxns.sort((a, b) => a.date.localeCompare(b.date)).forEach(t => {
-      h += `<div class="detail-row"><span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${escapeHtml(t.content)}</span><span class="amt" style="color:var(--rd)">${F(Math.abs(t.amount))}</span><span class="acct">${escapeHtml(t.category)}</span></div>`;
+      h += `${detailRowOpen(t)}<span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${refundBadge(t)}${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:${t.amount > 0 ? 'var(--cn)' : 'var(--rd)'}">${F(-t.amount)}</span><span class="acct">${escapeHtml(t.category)}</span></div>`;
+    });
+  }
+  if (transferTxns.length) {
+    // 振替（相手の金融機関は同額・3日以内の反対側の取引から推定）
+    h += `<div style="font-size:12px;font-weight:700;padding:6px 0 2px;color:var(--bl)">振替（収支に含めない）</div>`;
+    transferTxns.sort((a, b) => a.date.localeCompare(b.date)).forEach(t => {
+      const p = pairs.get(t);
+      const dir = t.amount < 0 ? `→ ${p ? escapeHtml(p.account) : '振替先不明'}` : `← ${p ? escapeHtml(p.account) : '振替元不明'}`;
+      h += `${detailRowOpen(t)}<span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:var(--bl)">${t.amount > 0 ? '+' : '−'}${F(Math.abs(t.amount))}</span><span class="acct">${dir}</span></div>`;
     });
   }
 
   const incTotal = incomeTxns.reduce((s, t) => s + t.amount, 0);
-  const expTotal = expenseTxns.reduce((s, t) => s + Math.abs(t.amount), 0);
-  h += `<div class="detail-total"><span>${txns.length}件</span><span><span style="color:var(--gn)">${FY(incTotal)}</span> / <span style="color:var(--rd)">${FY(expTotal)}</span></span></div>`;
+  const expTotal = expenseTxns.reduce((s, t) => s - t.amount, 0);
+  const trTotal = transferTxns.reduce((s, t) => s + t.amount, 0);
+  h += `<div class="detail-total"><span>${txns.length}件</span><span><span style="color:var(--gn)">${FY(incTotal)}</span> / <span style="color:var(--rd)">${FY(expTotal)}</span>${transferTxns.length ? ` / 振替 <span style="color:var(--bl)">${trTotal >= 0 ? '+' : '−'}${FY(Math.abs(trTotal))}</span>` : ''}</span></div>`;
+  h += detailAddButton();
 
   document.getElementById('modalBody').innerHTML = h;
   document.getElementById('modalBg').classList.add('show');
 }
 
 // ========================================
-// 対象月選択モーダル
+// 取引の追加・編集・削除
 // ========================================
 
-/** 一時保存：CSVファイル */
-let pendingFile = null;
+/** 編集中の取引（新規追加時は null） */
+let txnFormTarget = null;
 
-/** 一時保存：CSVテキスト */
-let pendingFileText = null;
+/**
+ * 取引の種別を判定
+ * @param {Object} t - 取引明細
+ * @returns {string} "expense" / "refund" / "income" / "points" / "transfer-out" / "transfer-in"
+ */
+function txnKind(t) {
+  if (t.category === 'income') return 'income';
+  if (t.category === 'points') return 'points';
+  if (t.category === 'transfer') return t.amount < 0 ? 'transfer-out' : 'transfer-in';
+  return t.amount > 0 ? 'refund' : 'expense';
+}
 
 /**
- * 対象月選択モーダルを表示
- * @param {File} file - CSVファイル
- * @param {string} text - CSVテキスト
- * @param {string} detectedMonth - 検出された対象月（YYYY-MM形式）
+ * 新規取引の日付の初期値を取得（選択月の会計期間内に収まる日付）
+ * @returns {string} "YYYY-MM-DD" 形式
  */
-function showTargetMonthModal(file, text, detectedMonth) {
-  pendingFile = file;
-  pendingFileText = text;
-  document.getElementById('importFileName').textContent = file.name;
-  document.getElementById('targetMonthInput').value = detectedMonth;
-  document.getElementById('targetMonthModal').classList.add('show');
+function defaultTxnDate() {
+  const fmt = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  if (!selectedMonth || currentPeriod() === selectedMonth) return fmt(new Date());
+  // 選択月の会計期間の末日
+  const [y, m] = selectedMonth.split('/').map(Number);
+  return fmt(PERIOD_START_DAY > 1 ? new Date(y, m - 1, PERIOD_START_DAY - 1) : new Date(y, m, 0));
 }
 
 /**
- * 対象月選択モーダルを閉じる
+ * ヘッダーの「＋」ボタンから取引を追加
  */
-function closeTargetMonthModal() {
-  document.getElementById('targetMonthModal').classList.remove('show');
-  pendingFile = null;
-  pendingFileText = null;
+function addTransaction() {
+  modalReturn = null;
+  txnFormPreset = {};
+  openTxnForm();
 }
 
 /**
- * 対象月を確定してCSVをインポート
+ * 取引の追加・編集フォームを表示
+ * @param {number} idx - 編集する取引の modalTxns 内のインデックス（省略時は新規追加）
  */
-async function confirmTargetMonth() {
-  const inputEl = document.getElementById('targetMonthInput');
-  if (!inputEl) {
-    console.error('対象月入力フィールドが見つかりません');
-    toast('⚠️ システムエラー：入力フィールドが見つかりません');
-    return;
-  }
+function openTxnForm(idx = -1) {
+  const t = idx >= 0 ? modalTxns[idx] : null;
+  txnFormTarget = t;
+
+  const kind = t ? txnKind(t) : (txnFormPreset.kind || 'expense');
+  const date = t ? t.date.replace(/\//g, '-') : defaultTxnDate();
+  const cat = t ? (kind === 'income' ? t.subcategory : kind === 'expense' || kind === 'refund' ? t.category : '') : (txnFormPreset.category || '');
+  const sub = t && (kind === 'expense' || kind === 'refund') ? t.subcategory : '';
+  const acc = t ? t.account : (txnFormPreset.account || '');
+  const tags = t ? t.tags || [] : txnFormPreset.tags || [];
+  const tagOpts = allTags().filter(tag => !tags.includes(tag));
+  const split = t ? t.split : undefined;
+  const splitMode = split && typeof split === 'object' ? 'custom' : split || 'auto';
+
+  // 候補リスト（既存の大項目・金融機関）
+  const cats = [...new Set([...Object.keys(BUDGETS), ...allMonths.flatMap(m => Object.keys(monthSummaries[m].expenses || {}))])].sort();
+  const accs = [...new Set(allMonths.flatMap(m => Object.entries(monthSummaries[m].nodeColumn || {}).filter(([, c]) => c === 1).map(([k]) => k)))].sort();
+  const opts = arr => arr.map(v => `<option value="${escapeHtml(v)}">`).join('');
+
+  document.getElementById('modalTitle').textContent = t ? '取引を編集' : '取引を追加';
+  document.getElementById('modalBody').innerHTML = `
+    <div class="txn-form">
+      <div class="tm-field"><label>種別</label>
+        <select id="txnKind" class="tm-input" onchange="updateTxnFormKind()">
+          <option value="expense"${kind === 'expense' ? ' selected' : ''}>支出</option>
+          <option value="refund"${kind === 'refund' ? ' selected' : ''}>返金（支出と相殺）</option>
+          <option value="income"${kind === 'income' ? ' selected' : ''}>収入</option>
+          <option value="points"${kind === 'points' ? ' selected' : ''}>ポイント等</option>
+          <option value="transfer-out"${kind === 'transfer-out' ? ' selected' : ''}>振替（出金）</option>
+          <option value="transfer-in"${kind === 'transfer-in' ? ' selected' : ''}>振替（入金）</option>
+        </select></div>
+      <div class="tm-field"><label>日付</label><input type="date" id="txnDate" class="tm-input" value="${escapeHtml(date)}"></div>
+      <div class="tm-field txn-wide"><label>内容</label><input type="text" id="txnContent" class="tm-input" maxlength="30" value="${escapeHtml(t ? t.content : '')}"></div>
+      <div class="tm-field"><label>金額（円）</label><input type="number" id="txnAmount" class="tm-input" min="1" value="${t ? Math.abs(t.amount) : ''}"></div>
+      <div class="tm-field"><label>金融機関</label><input type="text" id="txnAccount" class="tm-input" list="txnAccList" value="${escapeHtml(acc)}" placeholder="現金"></div>
+      <div class="tm-field" id="txnCatField"><label id="txnCatLabel">大項目</label><input type="text" id="txnCat" class="tm-input" list="txnCatList" value="${escapeHtml(cat)}"></div>
+      <div class="tm-field" id="txnSubField"><label>中項目</label><input type="text" id="txnSub" class="tm-input" value="${escapeHtml(sub)}"></div>
+      <div class="tm-field txn-wide"><label>タグ（カンマ区切り）</label><input type="text" id="txnTags" class="tm-input" value="${escapeHtml(tags.join(', '))}" placeholder="例: 旅行: 北海道, 立替: 後で精算">
+        ${tagOpts.length ? `<div class="tag-opts">${tagOpts.map(tag => `<span class="tag-chip" data-tag="${escapeHtml(tag)}" onclick="addTxnFormTag(this.dataset.tag)">＋${escapeHtml(tag)}</span>`).join('')}</div>` : ''}</div>
+      <div class="tm-field txn-wide"><label>メモ</label><input type="text" id="txnMemo" class="tm-input" maxlength="${MEMO_LEN}" value="${escapeHtml(t ? t.memo || '' : '')}"></div>
+      ${HOUSEHOLD.members.length >= 2 ? `<div class="tm-field txn-wide" id="txnSplitField"><label>共有費</label>
+        <select id="txnSplit" class="tm-input" onchange="updateTxnFormKind()">
+          <option value="auto"${splitMode === 'auto' ? ' selected' : ''}>大項目の設定に従う</option>
+          <option value="shared"${splitMode === 'shared' ? ' selected' : ''}>共有（大項目・既定の割合）</option>
+          <option value="custom"${splitMode === 'custom' ? ' selected' : ''}>共有（割合を指定）</option>
+          <option value="personal"${splitMode === 'personal' ? ' selected' : ''}>個人の支出</option>
+        </select>
+        <div class="hh-split" id="txnSplitRatio">${HOUSEHOLD.members.map((m, i) => `<label>${escapeHtml(m.name)} <input type="number" id="txnSplit_${i}" class="tm-input hh-pct" min="0" value="${splitMode === 'custom' && typeof split[m.name] === 'number' ? split[m.name] : m.share}"> %</label>`).join('')}</div></div>` : ''}
+    </div>
+    <datalist id="txnCatList" data-expense="${escapeHtml(JSON.stringify(cats))}"></datalist>
+    <datalist id="txnAccList">${opts(accs)}</datalist>
+    <div class="tm-actions">
+      ${t ? '<button class="tm-btn tm-btn-del" onclick="deleteTxnForm()">削除</button>' : ''}
+      <button class="tm-btn tm-btn-cancel" onclick="closeTxnForm()">キャンセル</button>
+      <button class="tm-btn tm-btn-ok" onclick="saveTxnForm()">保存</button>
+    </div>`;
+  updateTxnFormKind();
+  document.getElementById('modalBg').classList.add('show');
+}
 
-  const targetMonth = inputEl.value;
-  if (!targetMonth) {
-    toast('⚠️ 対象年月を選択してください');
-    return;
+/**
+ * 取引フォームの種別に応じて入力欄を切り替え
+ */
+function updateTxnFormKind() {
+  const kind = document.getElementById('txnKind').value;
+  const list = document.getElementById('txnCatList');
+  const cats = kind === 'income' ? incomeLabels() : JSON.parse(list.dataset.expense || '[]');
+  list.innerHTML = cats.map(v => `<option value="${escapeHtml(v)}">`).join('');
+  document.getElementById('txnCatLabel').textContent = kind === 'income' ? '収入区分' : '大項目';
+  document.getElementById('txnCatField').style.display = kind === 'expense' || kind === 'refund' || kind === 'income' ? '' : 'none';
+  document.getElementById('txnSubField').style.display = kind === 'expense' || kind === 'refund' ? '' : 'none';
+  const splitField = document.getElementById('txnSplitField');
+  if (splitField) {
+    splitField.style.display = kind === 'expense' || kind === 'refund' ? '' : 'none';
+    document.getElementById('txnSplitRatio').style.display = document.getElementById('txnSplit').value === 'custom' ? '' : 'none';
   }
+}
 
-  if (!pendingFileText || !pendingFile) {
-    console.error('ファイルデータが見つかりません。pendingFileText:', pendingFileText, 'pendingFile:', pendingFile);
-    toast('⚠️ ファイルデータが見つかりません');
-    return;
-  }
+/**
+ * 取引フォームを閉じる（明細モーダルから開いた場合は明細に戻る）
+ */
+function closeTxnForm() {
+  txnFormTarget = null;
+  if (modalReturn) modalReturn();
+  else closeModal();
+}
 
-  // 月キーに変換してデータ存在チェック
-  const mk = targetMonth.includes('-') ? targetMonth.replace(/-/g, '/') : targetMonth;
+/**
+ * 取引の追加・削除後に月次サマリーと画面を更新
+ * @param {string[]} months - 影響を受けた月キー
+ */
+async function afterTxnChange(months) {
+  await rebuildMonths([...new Set(months)]);
+  await saveConfig();
+  await loadAllMonths();
+  renderAll();
+  closeTxnForm();
+}
 
-  if (monthSummaries[mk]) {
-    const ok = confirm(`既に${mk}のデータがあります。上書きしますか？\n\n既存の明細データは削除されます。`);
-    if (!ok) return;
-    // 既存データを削除
-    await dbDeleteByMonth(mk);
-    await dbDelete('months', mk);
+/**
+ * 取引フォームの内容を保存
+ */
+async function saveTxnForm() {
+  const val = id => document.getElementById(id).value.trim();
+  const kind = val('txnKind');
+  const date = val('txnDate').replace(/-/g, '/');
+  const amt = Math.abs(parseInt(val('txnAmount'), 10) || 0);
+  const cat = val('txnCat');
+
+  if (!date) { toast('⚠️ 日付を入力してください'); return; }
+  if (!amt) { toast('⚠️ 金額を入力してください'); return; }
+  const isSpend = kind === 'expense' || kind === 'refund';
+  const isTransfer = kind === 'transfer-out' || kind === 'transfer-in';
+  if (isSpend && !cat) { toast('⚠️ 大項目を入力してください'); return; }
+
+  const old = txnFormTarget;
+  // 日付を変えた場合のみ会計期間に合わせて月を移動（まとめ取り込みした取引の月は維持）
+  const month = old && old.date === date ? old.month : periodOfDate(date);
+
+  const t = {
+    ...(old || { manual: true }),
+    month,
+    date,
+    content: val('txnContent'),
+    amount: kind === 'expense' || kind === 'transfer-out' ? -amt : amt,
+    account: val('txnAccount') || '現金',
+    category: isSpend ? cat : isTransfer ? 'transfer' : kind,
+    subcategory: isSpend ? val('txnSub') : kind === 'income' ? (cat || 'その他収入') : isTransfer ? '' : 'ポイント'
+  };
+  t.monthCat = txnMonthCat(t);
+  const tags = parseTags(val('txnTags'));
+  const memo = val('txnMemo');
+  if (tags.length) t.tags = tags;
+  else delete t.tags;
+  if (memo) t.memo = memo;
+  else delete t.memo;
+  // 共有費の設定（フォームに欄がないときは既存の設定を維持）
+  const splitMode = document.getElementById('txnSplit') ? val('txnSplit') : null;
+  if (!isSpend || splitMode === 'auto') delete t.split;
+  else if (splitMode === 'custom') {
+    const ratio = {};
+    HOUSEHOLD.members.forEach((m, i) => { ratio[m.name] = Math.max(parseInt(val(`txnSplit_${i}`), 10) || 0, 0); });
+    if (!Object.values(ratio).some(v => v > 0)) { toast('⚠️ 負担割合を入力してください'); return; }
+    t.split = ratio;
+  } else if (splitMode) t.split = splitMode;
+
+  // CSVから取り込んだ取引を編集した場合はマージ取り込みで上書きしない
+  if (old && !old.manual && ['date', 'content', 'amount', 'account', 'category', 'subcategory'].some(f => old[f] !== t[f])) t.edited = true;
+
+  // 手動で分類を変えた場合は自動分類ルール・収入の分類の対象外にする（CSVの元の大項目・中項目は保持）
+  if (old && (old.category !== t.category || old.subcategory !== t.subcategory)) {
+    t.categoryLocked = true;
+    if (!t.manual && t.mfCategory === undefined) {
+      t.mfCategory = old.category;
+      t.mfSubcategory = old.subcategory;
+    }
   }
 
-  // モーダルを閉じる前にローカル変数に保存
-  const fileText = pendingFileText;
-  const fileName = pendingFile.name;
+  try {
+    await dbPut('transactions', t);
+    await afterTxnChange(old ? [old.month, month] : [month]);
+    toast(old ? '✏️ 取引を更新しました' : '✅ 取引を追加しました');
+  } catch (e) {
+    console.error('取引保存エラー:', e);
+    toast('⚠️ 取引の保存に失敗しました');
+  }
+}
 
-  closeTargetMonthModal();
+/**
+ * 編集中の取引を削除
+ */
+async function deleteTxnForm() {
+  const t = txnFormTarget;
+  if (!t || !confirm(`「${t.content || t.category}」${FY(Math.abs(t.amount))} を削除しますか？`)) return;
 
   try {
-    await parseMF(fileText, fileName, targetMonth);
+    await dbDelete('transactions', t.id);
+    await afterTxnChange([t.month]);
+    toast('🗑 取引を削除しました');
   } catch (e) {
-    console.error('CSV解析エラー:', e);
-    toast('⚠️ CSV解析エラー: ' + (e.message || '不明なエラー'), 8000);
+    console.error('取引削除エラー:', e);
+    toast('⚠️ 取引の削除に失敗しました');
   }
 }
 
 // ========================================
-// 12ヶ月レンジ・トレンドグラフ描画
+// 対象月選択モーダル
 // ========================================
 
-/**
- * 選択月を最後として過去12ヶ月の配列を取得
- * @returns {string[]} 月キーの配列（古い順）
- */
+/** 一時保存：CSVファイル */
+let pendingFile = null;
+
+/** 一時保存：CSVテキスト */
+let pendingFileText = null;
+
+/** 一時保存：CSVの取引行（プレビュー用） */
+let pendingRows = null;
+
+/**
+ * 対象月選択モーダルを表示
+ * @param {File} file - CSVファイル
+ * @param {string} text - CSVテキスト
+ * @param {string} detectedMonth - 検出された対象月（YYYY-MM形式）
+ */
+function showTargetMonthModal(file, text, detectedMonth) {
+  pendingFile = file;
+  pendingFileText = text;
+  try {
+    pendingRows = readMFRows(text).rows;
+  } catch (e) {
+    console.warn('プレビュー用の解析に失敗:', e);
+    pendingRows = null;
+  }
+
+  // 複数月にまたがるCSVは日付で振り分けをデフォルトにする
+  const months = new Set((pendingRows || []).map(r => periodOfDate(r.date)).filter(Boolean));
+  const defaultMode = months.size > 1 ? 'split' : 'collapse';
+  document.querySelectorAll('input[name="importMode"]').forEach(el => {
+    el.checked = el.value === defaultMode;
+  });
+  document.querySelectorAll('input[name="importStrategy"]').forEach(el => {
+    el.checked = el.value === 'overwrite';
+  });
+
+  document.getElementById('importFileName').textContent = file.name;
+  document.getElementById('targetMonthInput').value = detectedMonth;
+  renderImportPreview();
+  document.getElementById('targetMonthModal').classList.add('show');
+}
+
+/**
+ * 選択中の取り込み方法を取得
+ * @returns {string} "split" または "collapse"
+ */
+function getImportMode() {
+  const el = document.querySelector('input[name="importMode"]:checked');
+  return el ? el.value : 'collapse';
+}
+
+/**
+ * 選択中の既存データの扱いを取得
+ * @returns {string} "overwrite" または "merge"
+ */
+function getImportStrategy() {
+  const el = document.querySelector('input[name="importStrategy"]:checked');
+  return el ? el.value : 'overwrite';
+}
+
+/**
+ * 取り込み対象の月ごとの件数を集計
+ * @param {string} mk - 対象月キー
+ * @param {string} mode - 取り込み方法
+ * @returns {Object.<string, number>} {月キー: 件数}
+ */
+function countImportRows(mk, mode) {
+  const counts = {};
+  (pendingRows || []).forEach(r => {
+    const m = importMonthOf(r, mk, mode);
+    counts[m] = (counts[m] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * 取り込みプレビュー（月ごとの件数）を描画
+ */
+function renderImportPreview() {
+  const el = document.getElementById('importPreview');
+  if (!el) return;
+
+  if (!pendingRows) {
+    el.innerHTML = '<p class="tm-preview-empty">プレビューを表示できません</p>';
+    return;
+  }
+
+  const targetMonth = document.getElementById('targetMonthInput').value;
+  const mk = targetMonth.replace(/-/g, '/');
+  const counts = countImportRows(mk, getImportMode());
+  const entries = Object.entries(counts).sort((a, b) => a[0].localeCompare(b[0]));
+
+  if (!entries.length) {
+    el.innerHTML = '<p class="tm-preview-empty">取り込み対象の行がありません</p>';
+    return;
+  }
+
+  el.innerHTML = entries.map(([m, n]) =>
+    `<div class="tm-preview-rw"><span>${escapeHtml(m)}${monthSummaries[m] ? ' <em>既存データあり</em>' : ''}</span><span>${F(n)}件</span></div>`
+  ).join('');
+}
+
+/**
+ * 対象月選択モーダルを閉じる
+ */
+function closeTargetMonthModal() {
+  document.getElementById('targetMonthModal').classList.remove('show');
+  pendingFile = null;
+  pendingFileText = null;
+  pendingRows = null;
+}
+
+/**
+ * 対象月を確定してCSVをインポート
+ */
+async function confirmTargetMonth() {
+  const inputEl = document.getElementById('targetMonthInput');
+  if (!inputEl) {
+    console.error('対象月入力フィールドが見つかりません');
+    toast('⚠️ システムエラー：入力フィールドが見つかりません');
+    return;
+  }
+
+  const targetMonth = inputEl.value;
+  if (!targetMonth) {
+    toast('⚠️ 対象年月を選択してください');
+    return;
+  }
+
+  if (!pendingFileText || !pendingFile) {
+    console.error('ファイルデータが見つかりません。pendingFileText:', pendingFileText, 'pendingFile:', pendingFile);
+    toast('⚠️ ファイルデータが見つかりません');
+    return;
+  }
+
+  // 月キーに変換してデータ存在チェック
+  const mk = targetMonth.includes('-') ? targetMonth.replace(/-/g, '/') : targetMonth;
+  const mode = getImportMode();
+  const strategy = getImportStrategy();
+  const months = pendingRows ? Object.keys(countImportRows(mk, mode)).sort() : [mk];
+  const existing = months.filter(m => monthSummaries[m]);
+
+  if (existing.length && strategy === 'overwrite') {
+    const ok = confirm(`既に${existing.join('・')}のデータがあります。上書きしますか？\n\n既存の明細データは削除されます。`);
+    if (!ok) return;
+    // 既存データを削除
+    for (const m of existing) {
+      await dbDeleteByMonth(m);
+      await dbDelete('months', m);
+    }
+  }
+
+  // モーダルを閉じる前にローカル変数に保存
+  const fileText = pendingFileText;
+  const fileName = pendingFile.name;
+
+  closeTargetMonthModal();
+
+  try {
+    await parseMF(fileText, fileName, targetMonth, mode, strategy);
+  } catch (e) {
+    console.error('CSV解析エラー:', e);
+    toast('⚠️ CSV解析エラー: ' + (e.message || '不明なエラー'), 8000);
+  }
+}
+
+// ========================================
+// 12ヶ月レンジ・トレンドグラフ描画
+// ========================================
+
+/**
+ * 選択月を最後として過去12ヶ月（会計期間）の配列を取得
+ * @returns {string[]} 月キーの配列（古い順）
+ */
 function getMonthRange() {
   if (!selectedMonth) return [];
-  const [y, m] = selectedMonth.split('/').map(Number);
   const months = [];
   for (let i = 11; i >= 0; i--) {
-    const d = new Date(y, m - 1 - i, 1);
-    months.push(`${d.getFullYear()}/${String(d.getMonth() + 1).padStart(2, '0')}`);
+    months.push(shiftMonth(selectedMonth, -i));
   }
   return months;
 }
@@ -831,7 +1704,7 @@ function getAvailableYears() {
 /**
  * トレンドグラフ・年間テーブル用の月レンジを取得
  * periodMode=true: 選択月を基準に過去12ヶ月
- * periodMode=false: 選択年の1〜12月
+ * periodMode=false: 選択年の1〜12月（会計期間の開始日が1日以外なら、1月 = 前年12月開始日〜1月）
  * @returns {string[]} 月キーの配列
  */
 function getTrendMonthRange() {
@@ -840,12 +1713,62 @@ function getTrendMonthRange() {
   }
   if (!selectedYear) return [];
   const months = [];
-  for (let m = 1; m <= 12; m++) {
-    months.push(`${selectedYear}/${String(m).padStart(2, '0')}`);
+  for (let m = 0; m < 12; m++) {
+    months.push(shiftMonth(`${selectedYear}/01`, m));
   }
   return months;
 }
 
+// ========================================
+// 前年比較
+// ========================================
+
+/** 前年比較モード（グラフに前年同月を重ね、年間テーブル・KPIに前年比を表示） */
+let yoyMode = false;
+
+/**
+ * 前年比較モードを切り替え
+ */
+function toggleYoY() {
+  yoyMode = !yoyMode;
+  document.body.classList.toggle('yoy-on', yoyMode);
+  renderAll();
+}
+
+/**
+ * 月の収入・支出合計を取得
+ * @param {string} mk - 月キー
+ * @returns {{income: number, expense: number}|null} データなし月は null
+ */
+function monthTotals(mk) {
+  const d = monthSummaries[mk];
+  if (!d) return null;
+  return { income: d.income, expense: Object.values(d.expenses || {}).reduce((a, b) => a + b, 0) };
+}
+
+/**
+ * 前年比の表示文字列を取得
+ * @param {number} cur - 当年の値
+ * @param {number|undefined} prev - 前年の値（データなしは undefined）
+ * @returns {string} "+5.2%" 形式（比較できない場合は空文字）
+ */
+function yoyPct(cur, prev) {
+  if (prev === undefined || prev === null || prev <= 0) return '';
+  const p = (cur - prev) / prev * 100;
+  return `${p >= 0 ? '+' : '−'}${Math.abs(p).toFixed(1)}%`;
+}
+
+/**
+ * 前年比の色を取得
+ * @param {string} pct - yoyPct() の戻り値
+ * @param {boolean} upIsGood - 増加が良い指標か（収入: true / 支出: false）
+ * @returns {string} CSSの色
+ */
+function yoyColor(pct, upIsGood) {
+  if (!pct) return 'var(--t3)';
+  return (pct[0] === '+') === upIsGood ? 'var(--gn)' : 'var(--rd)';
+}
+
 // ========================================
 // グラフ軸ユーティリティ
 // ========================================
@@ -902,7 +1825,8 @@ function formatAxisLabel(v) {
  * 棒グラフ＋折れ線グラフの汎用描画関数
  * マイナス値対応・きりの良い軸目盛り
  * @param {string} svgId - SVG要素のID
- * @param {Array} data - データ配列 [{label, bars:[], line:number}]
+ * @param {Array} data - データ配列 [{label, bars:[], line:number, prevBars:[], prevLine:number}]
+ *   prevBars / prevLine（任意）: 前年同月の値。棒は半透明の点線枠、折れ線は点線で重ねる
  * @param {number} W - グラフ幅
  * @param {number} H - グラフ高さ
  * @param {Object} colors - 色設定 {bars:[], line:string}
@@ -919,8 +1843,8 @@ function drawBarLine(svgId, data, W, H, colors, showVals = false) {
   const dW = W - PL - PR, dH = H - PT - PB;
 
   // 全データから最小・最大値を算出
-  const allBarVals = data.flatMap(d => d.bars);
-  const allLineVals = data.map(d => d.line).filter(v => v !== undefined);
+  const allBarVals = data.flatMap(d => [...d.bars, ...(d.prevBars || [])]);
+  const allLineVals = data.flatMap(d => [d.line, d.prevLine]).filter(v => v !== undefined);
   const allVals = [...allBarVals, ...allLineVals];
   const rawMax = Math.max(...allVals, 0);
   const rawMin = Math.min(...allVals, 0);
@@ -930,7 +1854,7 @@ function drawBarLine(svgId, data, W, H, colors, showVals = false) {
   const range = axis.max - axis.min || 1;
 
   const gW = dW / Math.max(data.length, 1);
-  const bW = Math.min(24, gW * 0.3);
+  const bW = Math.min(24, gW * 0.6 / Math.max(data[0].bars.length, 2));
 
   // 値→Y座標変換
   const valToY = v => PT + dH * (1 - (v - axis.min) / range);
@@ -948,10 +1872,29 @@ function drawBarLine(svgId, data, W, H, colors, showVals = false) {
 
   let lp = ''; // 折れ線のパス
   let lineStarted = false; // 折れ線の連続性追跡
+  let plp = ''; // 前年の折れ線のパス
+  let prevStarted = false;
 
   data.forEach((d, i) => {
     const x = PL + i * gW + gW / 2;
 
+    // 前年の棒（当年の棒の背面に描画）
+    (d.prevBars || []).forEach((v, bi) => {
+      if (!v) return;
+      const barY = valToY(v);
+      const h = Math.abs(barY - zeroY);
+      const bx = x + (bi - d.bars.length / 2) * bW + 1;
+      html += `<rect x="${bx - 1}" y="${v >= 0 ? barY : zeroY}" width="${bW}" height="${h}" rx="2" fill="${colors.bars[bi]}" fill-opacity="0.12" stroke="${colors.bars[bi]}" stroke-opacity="0.5" stroke-dasharray="2,2"/>`;
+    });
+
+    // 前年の折れ線（データなし月は途切れさせる）
+    if (d.prevLine !== undefined) {
+      plp += (!prevStarted ? 'M' : 'L') + `${x},${valToY(d.prevLine)}`;
+      prevStarted = true;
+    } else {
+      prevStarted = false;
+    }
+
     // 棒グラフ（マイナス対応：ゼロラインを基準に上下描画）
     d.bars.forEach((v, bi) => {
       if (v === 0) return;
@@ -989,6 +1932,9 @@ function drawBarLine(svgId, data, W, H, colors, showVals = false) {
   if (lp) {
     html += `<path d="${lp}" fill="none" stroke="${colors.line}" stroke-width="1.5" opacity="0.5"/>`;
   }
+  if (plp) {
+    html += `<path d="${plp}" fill="none" stroke="${colors.line}" stroke-width="1.2" stroke-dasharray="4,3" opacity="0.45"/>`;
+  }
 
   svg.innerHTML = html;
 }
@@ -1004,10 +1950,13 @@ function mkTrendData() {
     const d = monthSummaries[mk] || { income: 0, expenses: {} };
     const e = Object.values(d.expenses || {}).reduce((a, b) => a + b, 0);
     const m = parseInt(mk.split('/')[1], 10);
+    const prev = yoyMode ? monthTotals(shiftMonth(mk, -12)) : null;
     return {
       label: `${m}月`,
       bars: [d.income, e],
-      line: hasData ? d.income - e : undefined
+      line: hasData ? d.income - e : undefined,
+      prevBars: prev ? [prev.income, prev.expense] : undefined,
+      prevLine: prev ? prev.income - prev.expense : undefined
     };
   });
 }
@@ -1029,14 +1978,20 @@ function renderFV() {
   const months = getMonthRange();
   const data = months.map(m => {
     const d = monthSummaries[m] || { expenses: {} };
-    const ft = Object.entries(d.expenses || {})
-      .filter(([k]) => FIXED_CATS.has(k))
-      .reduce((s, [, v]) => s + v, 0);
+    const ft = fixedTotal(d);
     const te = Object.values(d.expenses || {}).reduce((a, b) => a + b, 0);
     const mon = parseInt(m.split('/')[1], 10);
+    const pd = yoyMode ? monthSummaries[shiftMonth(m, -12)] : null;
+    let prevBars;
+    if (pd) {
+      const pft = fixedTotal(pd);
+      const pte = Object.values(pd.expenses || {}).reduce((a, b) => a + b, 0);
+      prevBars = [pft, pte - pft];
+    }
     return {
       label: `${mon}月`,
-      bars: [ft, te - ft]
+      bars: [ft, te - ft],
+      prevBars
     };
   });
 
@@ -1063,9 +2018,11 @@ function renderSav() {
     const d = monthSummaries[m] || { income: 0, expenses: {} };
     const e = Object.values(d.expenses || {}).reduce((a, b) => a + b, 0);
     const mon = parseInt(m.split('/')[1], 10);
+    const prev = yoyMode ? monthTotals(shiftMonth(m, -12)) : null;
     return {
       label: `${mon}月`,
-      rate: d.income > 0 ? Math.round((d.income - e) / d.income * 100) : 0
+      rate: d.income > 0 ? Math.round((d.income - e) / d.income * 100) : 0,
+      prevRate: prev && prev.income > 0 ? Math.round((prev.income - prev.expense) / prev.income * 100) : undefined
     };
   });
 
@@ -1079,10 +2036,23 @@ function renderSav() {
   }
 
   let path = '';
+  let prevPath = '';
+  let prevStarted = false;
   const gW = dW / Math.max(data.length, 1);
 
   data.forEach((d, i) => {
     const x = PL + i * gW + gW / 2;
+
+    // 前年同月（点線、データなし月は途切れさせる）
+    if (d.prevRate !== undefined) {
+      const py = PT + dH * (1 - Math.max(d.prevRate, 0) / 100);
+      prevPath += (!prevStarted ? 'M' : 'L') + `${x},${py}`;
+      prevStarted = true;
+      html += `<circle cx="${x}" cy="${py}" r="2" fill="var(--pp)" opacity="0.35"/>`;
+    } else {
+      prevStarted = false;
+    }
+
     const y = PT + dH * (1 - Math.max(d.rate, 0) / 100);
     path += (i === 0 ? 'M' : 'L') + `${x},${y}`;
     html += `<circle cx="${x}" cy="${y}" r="3.5" fill="var(--pp)" opacity="0.9"/>`;
@@ -1096,11 +2066,176 @@ function renderSav() {
     html += `<path d="${path} L${lx},${PT + dH} L${PL + gW / 2},${PT + dH} Z" fill="var(--pp)" opacity=".06"/>`;
     html += `<path d="${path}" fill="none" stroke="var(--pp)" stroke-width="2" opacity=".6"/>`;
   }
+  if (prevPath) {
+    html += `<path d="${prevPath}" fill="none" stroke="var(--pp)" stroke-width="1.2" stroke-dasharray="4,3" opacity=".35"/>`;
+  }
+
+  // 目標貯蓄率の線（設定画面の貯蓄目標）
+  if (SAVINGS_GOALS.rate) {
+    const ty = PT + dH * (1 - SAVINGS_GOALS.rate / 100);
+    html += `<line x1="${PL}" y1="${ty}" x2="${W - PR}" y2="${ty}" stroke="var(--am)" stroke-width="1" stroke-dasharray="3,3" opacity=".4"/>`;
+    html += `<text x="${W - PR}" y="${ty - 3}" text-anchor="end" fill="var(--am)" font-size="6" opacity=".6">目標${SAVINGS_GOALS.rate}%</text>`;
+  }
+
+  svg.innerHTML = html;
+}
+
+// ========================================
+// 費目別推移グラフ
+// ========================================
+
+/** 費目別推移で表示中の系列（"大項目" または "大項目›中項目"） */
+let catTrendSel = [];
+
+/** 費目別推移で同時に表示できる系列数 */
+const CAT_TREND_MAX = 4;
+
+/** 費目別推移の系列の色 */
+const CAT_TREND_COLORS = ['var(--rd)', 'var(--cn)', 'var(--am)', 'var(--pp)'];
+
+/**
+ * 費目別推移の系列を追加
+ * @param {string} key - "大項目" または "大項目›中項目"
+ */
+function addCatTrend(key) {
+  if (!key || catTrendSel.includes(key)) return;
+  if (catTrendSel.length >= CAT_TREND_MAX) {
+    toast(`⚠️ 同時に表示できるのは${CAT_TREND_MAX}系列までです`);
+    return;
+  }
+  catTrendSel.push(key);
+  renderCatTrend();
+}
+
+/**
+ * 費目別推移の系列を削除
+ * @param {number} i - 系列のインデックス
+ */
+function removeCatTrend(i) {
+  catTrendSel.splice(i, 1);
+  renderCatTrend();
+}
+
+/**
+ * 系列の月の支出・予算を取得
+ * @param {string} key - "大項目" または "大項目›中項目"
+ * @param {string} mk - 月キー
+ * @returns {{v: number|undefined, budget: number}} 支出（データなし月は undefined）と予算
+ */
+function catTrendValue(key, mk) {
+  const [cat, sub] = key.split('›');
+  const d = monthSummaries[mk];
+  const budget = sub === undefined ? effectiveBudget(cat, mk) : (SUB_BUDGETS[cat] || {})[sub] || 0;
+  if (!d) return { v: undefined, budget };
+  const v = sub === undefined ? (d.expenses || {})[cat] : ((d.subExpenses || {})[cat] || {})[sub];
+  return { v: v || 0, budget };
+}
+
+/**
+ * 費目別推移グラフを描画（選択月を基準に12ヶ月）
+ * 棒: 月の支出 / 実線: 3ヶ月移動平均 / 点線: 予算
+ */
+function renderCatTrend() {
+  const svg = document.getElementById('catTrendSvg');
+  const ctrl = document.getElementById('catTrendCtrl');
+  if (!svg || !ctrl) return;
+
+  // 初回は選択月の最大の費目を表示
+  const d = cd();
+  if (!catTrendSel.length) {
+    const top = Object.entries(d.expenses || {}).sort((a, b) => b[1] - a[1])[0];
+    if (top) catTrendSel = [top[0]];
+  }
+
+  // 系列の選択肢（大項目ごとに中項目をまとめる）
+  const subsByCat = {};
+  allMonths.forEach(m => {
+    Object.keys(monthSummaries[m].expenses || {}).forEach(c => { subsByCat[c] = subsByCat[c] || new Set(); });
+    Object.entries(monthSummaries[m].subExpenses || {}).forEach(([c, subs]) => Object.keys(subs).forEach(s => subsByCat[c].add(s)));
+  });
+  let opts = '<option value="">＋ 費目を追加</option>';
+  Object.keys(subsByCat).sort().forEach(c => {
+    const ec = escapeHtml(c);
+    opts += `<optgroup label="${ec}"><option value="${ec}">${ec}（大項目）</option>`;
+    [...subsByCat[c]].sort().forEach(s => {
+      opts += `<option value="${ec}›${escapeHtml(s)}">${escapeHtml(s)}</option>`;
+    });
+    opts += '</optgroup>';
+  });
+  ctrl.innerHTML = catTrendSel.map((k, i) => `<span class="ct-chip" style="border-color:${CAT_TREND_COLORS[i]};color:${CAT_TREND_COLORS[i]}">${escapeHtml(k.replace('›', ' › '))}<span class="ct-x" onclick="removeCatTrend(${i})">✕</span></span>`).join('')
+    + `<select class="trend-year-sel" onchange="addCatTrend(this.value)">${opts}</select>`;
+
+  const months = getMonthRange();
+  if (!months.length || !catTrendSel.length) {
+    svg.innerHTML = '<text x="50%" y="50" text-anchor="middle" fill="var(--t3)" font-size="12">データなし</text>';
+    return;
+  }
+
+  // 系列ごとの値・予算・3ヶ月移動平均（データのある月のみで平均）
+  const series = catTrendSel.map(key => months.map(mk => {
+    const { v, budget } = catTrendValue(key, mk);
+    const win = [0, 1, 2].map(i => catTrendValue(key, shiftMonth(mk, -i)).v).filter(x => x !== undefined);
+    return { mk, v, budget, ma: v !== undefined && win.length ? win.reduce((a, b) => a + b, 0) / win.length : undefined };
+  }));
+
+  const W = 780, H = 240, PL = 52, PR = 12, PT = 16, PB = 24;
+  const dW = W - PL - PR, dH = H - PT - PB;
+  // 返金の相殺で月の値がマイナスになる場合は軸を0より下まで広げる
+  const vals = series.flat().flatMap(p => [p.v || 0, p.budget, p.ma || 0]);
+  const axis = calcNiceAxis(Math.min(0, ...vals), Math.max(0, ...vals));
+  const range = axis.max - axis.min || 1;
+  const valToY = v => PT + dH * (1 - (v - axis.min) / range);
+  const gW = dW / months.length;
+  const bW = Math.min(20, gW * 0.7 / series.length);
+
+  let html = '';
+  for (let v = axis.min; v <= axis.max + axis.step * 0.01; v += axis.step) {
+    const y = valToY(v);
+    html += `<line x1="${PL}" y1="${y}" x2="${W - PR}" y2="${y}" stroke="var(--bd)" stroke-width=".5"/>`;
+    html += `<text x="${PL - 4}" y="${y + 3}" text-anchor="end" fill="var(--t3)" font-size="7" font-family="Inter">${formatAxisLabel(Math.round(v))}</text>`;
+  }
+
+  series.forEach((pts, si) => {
+    const color = CAT_TREND_COLORS[si];
+    const [cat, sub] = catTrendSel[si].split('›');
+    const detail = `showDetail('${escapeHtml(cat)}',${sub === undefined ? 'undefined' : `'${escapeHtml(sub)}'`},`;
+    let budgetPath = '', maPath = '', maStarted = false;
+
+    pts.forEach((p, i) => {
+      const x0 = PL + i * gW;
+      const x = x0 + gW / 2;
+
+      // 棒（クリックでその月の明細。マイナスは0から下向き）
+      if (p.v) {
+        const y = Math.min(valToY(p.v), valToY(0));
+        const bx = x + (si - series.length / 2) * bW;
+        html += `<rect class="ct-bar" x="${bx}" y="${y}" width="${bW - 1}" height="${Math.abs(valToY(0) - valToY(p.v))}" rx="2" fill="${color}" opacity="0.55" onclick="${detail}'${p.mk}')"><title>${escapeHtml(catTrendSel[si])} ${p.mk}: ${F(p.v)}${p.budget ? ` / 予算 ${F(p.budget)}` : ''}</title></rect>`;
+      }
+
+      // 予算（月ごとに変わるため階段状に描画）
+      if (p.budget) {
+        const by = valToY(p.budget);
+        budgetPath += `${budgetPath && pts[i - 1] && pts[i - 1].budget ? 'L' : 'M'}${x0},${by}L${x0 + gW},${by}`;
+      }
 
-  // 目標25%の線
-  const ty = PT + dH * (1 - 25 / 100);
-  html += `<line x1="${PL}" y1="${ty}" x2="${W - PR}" y2="${ty}" stroke="var(--am)" stroke-width="1" stroke-dasharray="3,3" opacity=".4"/>`;
-  html += `<text x="${W - PR}" y="${ty - 3}" text-anchor="end" fill="var(--am)" font-size="6" opacity=".6">目標25%</text>`;
+      // 3ヶ月移動平均
+      if (p.ma !== undefined) {
+        maPath += `${maStarted ? 'L' : 'M'}${x},${valToY(p.ma)}`;
+        maStarted = true;
+      } else {
+        maStarted = false;
+      }
+    });
+
+    if (budgetPath) html += `<path d="${budgetPath}" fill="none" stroke="${color}" stroke-width="1" stroke-dasharray="3,3" opacity="0.7"/>`;
+    if (maPath) html += `<path d="${maPath}" fill="none" stroke="${color}" stroke-width="1.8" opacity="0.9"/>`;
+  });
+
+  // X軸ラベル（選択月を強調）
+  months.forEach((mk, i) => {
+    const sel = mk === selectedMonth;
+    html += `<text x="${PL + i * gW + gW / 2}" y="${H - PB + 12}" text-anchor="middle" fill="${sel ? 'var(--tx)' : 'var(--t3)'}" font-size="8" font-weight="${sel ? '700' : '400'}">${parseInt(mk.split('/')[1], 10)}月</text>`;
+  });
 
   svg.innerHTML = html;
 }
@@ -1109,15 +2244,100 @@ function renderSav() {
 // 年間テーブル描画
 // ========================================
 
+/** 年間テーブルに費目別の行（ヒートマップ）を表示するか */
+let yearTableExpanded = false;
+
+/** ヒートマップの基準（"budget": 予算比、予算未設定の費目は平均比 / "avg": 期間平均比） */
+let heatBasis = 'budget';
+
+/**
+ * 年間テーブルの費目別表示を切り替え
+ */
+function toggleYearTableExpanded() {
+  yearTableExpanded = !yearTableExpanded;
+  renderTrendControls();
+  renderYearTable();
+}
+
+/**
+ * ヒートマップの基準を切り替え
+ * @param {string} basis - "budget" or "avg"
+ */
+function setHeatBasis(basis) {
+  heatBasis = basis;
+  renderTrendControls();
+  renderYearTable();
+}
+
+/**
+ * ヒートマップのセル背景色を取得
+ * 基準以下は緑、基準超過は赤（超過率が高いほど濃い）
+ * @param {number} ratio - 実績 ÷ 基準
+ * @returns {string} CSSの背景色
+ */
+function heatColor(ratio) {
+  if (ratio <= 1) return `rgba(34, 197, 94, ${((1 - ratio) * 0.3).toFixed(2)})`;
+  return `rgba(239, 68, 68, ${(Math.min(ratio - 1, 1) * 0.45 + 0.1).toFixed(2)})`;
+}
+
+/**
+ * 年間テーブルの費目別の行（固定費・変動費の小計付き）を生成
+ * @param {string[]} range - 月キーの配列
+ * @returns {string} tr要素のHTML
+ */
+function yearTableCatRows(range) {
+  const withData = range.filter(mk => monthSummaries[mk]);
+  const val = (k, mk) => ((monthSummaries[mk] || {}).expenses || {})[k] || 0;
+  const total = k => range.reduce((s, mk) => s + val(k, mk), 0);
+  const cats = [...new Set(withData.flatMap(mk => Object.keys(monthSummaries[mk].expenses || {})))]
+    .sort((a, b) => total(b) - total(a));
+
+  const catRow = k => {
+    const ek = escapeHtml(k);
+    const avg = withData.length ? total(k) / withData.length : 0;
+    let h = `<tr class="hm"><td title="${ek}">${ek}</td>`;
+    range.forEach(mk => {
+      if (!monthSummaries[mk]) { h += '<td style="color:var(--t3)">—</td>'; return; }
+      const v = val(k, mk);
+      const b = heatBasis === 'budget' ? effectiveBudget(k, mk) : 0;
+      const ref = b || avg;
+      const ratio = ref > 0 ? v / ref : 0;
+      const tip = ref > 0 ? `${b ? '予算' : '平均'}比 ${Math.round(ratio * 100)}%` : '';
+      h += v
+        ? `<td style="background:${ref > 0 ? heatColor(ratio) : 'transparent'}" title="${tip}" onclick="showDetail('${ek}',undefined,'${mk}')">${F(v)}</td>`
+        : '<td style="color:var(--t3)">0</td>';
+    });
+    return h + `<td class="tc">${F(total(k))}</td></tr>`;
+  };
+
+  const groupRows = (label, arr, color) => {
+    if (!arr.length) return '';
+    let h = `<tr class="hm-sub"><td><span class="sq" style="background:${color}"></span>${label}</td>`;
+    range.forEach(mk => {
+      const v = arr.reduce((s, k) => s + val(k, mk), 0);
+      h += `<td${monthSummaries[mk] ? '' : ' style="color:var(--t3)"'}>${F(v)}</td>`;
+    });
+    h += `<td class="tc">${F(arr.reduce((s, k) => s + total(k), 0))}</td></tr>`;
+    return h + arr.map(catRow).join('');
+  };
+
+  return groupRows('固定費', cats.filter(k => FIXED_CATS.has(k)), 'var(--am)')
+    + groupRows('変動費', cats.filter(k => !FIXED_CATS.has(k)), 'var(--rd)');
+}
+
 /**
  * 年間集計テーブルを描画（選択月を基準に12ヶ月ローリング表示）
+ * 費目別表示中は費目ごとの行をヒートマップ表示（セルクリックでその月の明細）
  */
 function renderYearTable() {
   const t = document.getElementById('yearTable');
   const range = getTrendMonthRange();
 
-  let ti = 0, texp = 0;
-  let ir = '<td>収入</td>', er = '<td>支出</td>', br = '<td>残高</td>';
+  let ti = 0, texp = 0, tb = 0, tbe = 0;
+  let ir = '<td>収入</td>', er = '<td>支出</td>', br = '<td>残高</td>', bgr = '<td>予算</td>', bdr = '<td>予算差</td>';
+  let yir = '<td>収入 前年比</td>', yer = '<td>支出 前年比</td>';
+  // 前年比の合計は当年・前年ともデータのある月だけで比較
+  const yt = { ci: 0, pi: 0, ce: 0, pe: 0 };
   const headers = [];
 
   range.forEach(mk => {
@@ -1134,28 +2354,129 @@ function renderYearTable() {
     er += `<td${noDataStyle}>${F(e)}</td>`;
     const bal = d.income - e;
     br += `<td${noDataStyle}${bal < 0 ? ' style="color:var(--rd)"' : ''}>${F(bal)}</td>`;
+
+    // 前年比（どちらかの月にデータがなければ "—"）
+    const prev = monthTotals(shiftMonth(mk, -12));
+    if (hasData && prev) {
+      yt.ci += d.income; yt.pi += prev.income; yt.ce += e; yt.pe += prev.expense;
+    }
+    const pi = hasData && prev ? yoyPct(d.income, prev.income) : '';
+    const pe = hasData && prev ? yoyPct(e, prev.expense) : '';
+    yir += `<td style="color:${yoyColor(pi, true)}">${pi || '—'}</td>`;
+    yer += `<td style="color:${yoyColor(pe, false)}">${pe || '—'}</td>`;
+
+    // 予算対比（実効予算の合計。データなし月は差額を出さない）
+    const b = totalBudget(mk);
+    tb += b;
+    bgr += `<td${noDataStyle}>${b ? F(b) : '—'}</td>`;
+    if (hasData && b) {
+      tbe += e;
+      bdr += `<td style="color:${b - e >= 0 ? 'var(--gn)' : 'var(--rd)'}">${b - e >= 0 ? '+' : ''}${F(b - e)}</td>`;
+    } else {
+      bdr += '<td style="color:var(--t3)">—</td>';
+    }
   });
 
   ir += `<td class="tc">${F(ti)}</td>`;
   er += `<td class="tc">${F(texp)}</td>`;
   const totalBal = ti - texp;
   br += `<td class="tc"${totalBal < 0 ? ' style="color:var(--rd)"' : ''}>${F(totalBal)}</td>`;
+  bgr += `<td class="tc">${tb ? F(tb) : '—'}</td>`;
+  // 予算差の合計はデータのある月の予算のみで計算
+  const tbd = range.filter(mk => monthSummaries[mk]).reduce((s, mk) => s + totalBudget(mk), 0) - tbe;
+  bdr += tbe ? `<td class="tc" style="color:${tbd >= 0 ? 'var(--gn)' : 'var(--rd)'}">${tbd >= 0 ? '+' : ''}${F(tbd)}</td>` : '<td class="tc" style="color:var(--t3)">—</td>';
 
-  t.innerHTML = `<thead><tr><th></th>${headers.map(m => `<th>${m}</th>`).join('')}<th class="tc">合計</th></tr></thead><tbody><tr class="ir">${ir}</tr><tr class="er">${er}</tr><tr class="br">${br}</tr></tbody>`;
+  const tpi = yoyPct(yt.ci, yt.pi), tpe = yoyPct(yt.ce, yt.pe);
+  yir += `<td class="tc" style="color:${yoyColor(tpi, true)}">${tpi || '—'}</td>`;
+  yer += `<td class="tc" style="color:${yoyColor(tpe, false)}">${tpe || '—'}</td>`;
+  const yoyRows = yoyMode ? `<tr class="yoy">${yir}</tr><tr class="yoy">${yer}</tr>` : '';
+
+  t.innerHTML = `<thead><tr><th></th>${headers.map(m => `<th>${m}</th>`).join('')}<th class="tc">合計</th></tr></thead><tbody><tr class="ir">${ir}</tr><tr class="er">${er}</tr><tr class="br">${br}</tr>${yoyRows}${tb ? `<tr class="bgr">${bgr}</tr><tr>${bdr}</tr>` : ''}${yearTableExpanded ? yearTableCatRows(range) : ''}</tbody>`;
 }
 
 // ========================================
 // Sankeyダイアグラム描画
 // ========================================
 
+/** Sankeyに中項目の列（大項目 → 中項目）を表示するか */
+let sankeyShowSub = false;
+
+/** Sankeyに振替（金融機関 → 金融機関）を表示するか */
+let sankeyShowTransfer = false;
+
+/** Sankeyの中央列を世帯メンバー別にまとめるか */
+let sankeyByMember = false;
+
 /**
- * お金の流れ（Sankey）ダイアグラムを描画
+ * Sankeyの中項目列の表示を切り替え
  */
-function renderSankey() {
-  const svg = document.getElementById('sankeySvg');
-  const d = cd();
-  const flows = d.sankeyFlows || [];
-  const nc = d.nodeColumn || {};
+function toggleSankeySub() {
+  sankeyShowSub = !sankeyShowSub;
+  renderSankey();
+}
+
+/**
+ * Sankeyの振替の表示を切り替え
+ */
+function toggleSankeyTransfer() {
+  sankeyShowTransfer = !sankeyShowTransfer;
+  renderSankey();
+}
+
+/**
+ * Sankeyのメンバー別表示を切り替え
+ */
+function toggleSankeyMember() {
+  sankeyByMember = !sankeyByMember;
+  renderSankey();
+}
+
+/**
+ * お金の流れ（Sankey）ダイアグラムを描画
+ */
+function renderSankey() {
+  const svg = document.getElementById('sankeySvg');
+  const d = cd();
+  let flows = [...(d.sankeyFlows || [])];
+  const nc = { ...(d.nodeColumn || {}) };
+  const labels = {};  // ノード名と表示名が異なるもの（中項目ノード・メンバーノード）
+
+  const subBtn = document.getElementById('sankeySubBtn');
+  if (subBtn) {
+    subBtn.classList.toggle('active', sankeyShowSub);
+    subBtn.textContent = sankeyShowSub ? '中項目を表示中' : '中項目を表示';
+  }
+  const trBtn = document.getElementById('sankeyTransferBtn');
+  if (trBtn) trBtn.classList.toggle('active', sankeyShowTransfer);
+  let tFlows = sankeyShowTransfer ? (d.transferFlows || []) : [];
+
+  // 中央列の金融機関をメンバー別にまとめる（メンバー未登録ならボタンごと隠す）
+  const memBtn = document.getElementById('sankeyMemberBtn');
+  const byMember = sankeyByMember && HOUSEHOLD.members.length > 0;
+  if (memBtn) {
+    memBtn.style.display = HOUSEHOLD.members.length ? '' : 'none';
+    memBtn.classList.toggle('active', byMember);
+  }
+  if (byMember) {
+    flows = groupFlowsByMember(flows, nc, labels);
+    tFlows = groupFlowsByMember(tFlows, nc, labels, true);
+  }
+
+  // 中項目の列を追加（大項目 → 中項目）
+  if (sankeyShowSub) {
+    const fCols = ["#f59e0b", "#ec4899", "#a855f7", "#3b82f6", "#06b6d4", "#64748b", "#84cc16"];
+    let ci = 0;
+    Object.entries(d.subExpenses || {}).forEach(([cat, subs]) => {
+      if (!flows.some(f => f.to === cat)) return;
+      Object.entries(subs).sort((a, b) => b[1] - a[1]).forEach(([sub, v]) => {
+        if (v < 500) return;
+        const key = `${cat}›${sub}`;
+        labels[key] = sub;
+        nc[key] = 3;
+        flows.push({ from: cat, to: key, amount: v, color: fCols[ci++ % fCols.length] });
+      });
+    });
+  }
 
   if (!flows.length) {
     svg.innerHTML = '<text x="50%" y="50" text-anchor="middle" fill="var(--t3)" font-size="12">データなし</text>';
@@ -1163,8 +2484,9 @@ function renderSankey() {
     return;
   }
 
-  // ノードを3列に分類（0:収入源, 1:金融機関, 2:支出先）
-  const columns = [[], [], []];
+  // ノードを列に分類（0:収入源, 1:金融機関, 2:支出先, 3:中項目）
+  const nCols = sankeyShowSub ? 4 : 3;
+  const columns = Array.from({ length: nCols }, () => []);
   const outgoing = {}, incoming = {}, nv = {}, ns = new Set();
 
   flows.forEach(f => {
@@ -1182,12 +2504,23 @@ function renderSankey() {
     );
   });
 
+  // 振替のみの金融機関（貯蓄用口座など）も中央列に追加
+  tFlows.forEach(f => [f.from, f.to].forEach(a => {
+    if (ns.has(a)) return;
+    ns.add(a);
+    nc[a] = 1;
+    nv[a] = Math.max(
+      tFlows.filter(x => x.from === a).reduce((s, x) => s + x.amount, 0),
+      tFlows.filter(x => x.to === a).reduce((s, x) => s + x.amount, 0)
+    );
+  }));
+
   // ノードを列に割り当て
   ns.forEach(n => {
     const c = nc[n] !== undefined ? nc[n] :
       (!incoming[n] || !incoming[n].length ? 0 :
         !outgoing[n] || !outgoing[n].length ? 2 : 1);
-    columns[c].push(n);
+    columns[Math.min(c, nCols - 1)].push(n);
   });
 
   // 各列を金額順にソート
@@ -1198,7 +2531,7 @@ function renderSankey() {
   svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
 
   const PL = 185, PR = 150;
-  const colX = [PL, PL + (W - PL - PR) / 2, W - PR];
+  const colX = columns.map((c, i) => PL + (W - PL - PR) * i / (nCols - 1));
   const drawH = H - PY * 2;
   const maxCV = Math.max(...columns.map(c => c.reduce((s, n) => s + nv[n], 0)), 1);
   const scale = drawH / (maxCV + columns.reduce((m, c) => Math.max(m, c.length), 0) * NG);
@@ -1235,40 +2568,66 @@ function renderSankey() {
     html += `<path d="M${sx},${sy} C${mx},${sy} ${mx},${ty} ${tx},${ty} L${tx},${ty + th} C${mx},${ty + th} ${mx},${sy + th} ${sx},${sy + th} Z" fill="${f.color}" opacity="0.35"/>`;
   });
 
+  // 振替（中央列の金融機関どうしを左側の弧で結ぶ）
+  if (tFlows.length) {
+    html += '<defs><marker id="tfArrow" viewBox="0 0 6 6" refX="5" refY="3" markerWidth="5" markerHeight="5" orient="auto"><path d="M0,0L6,3L0,6Z" fill="var(--bl)"/></marker></defs>';
+    tFlows.forEach(f => {
+      const a = np[f.from], b = np[f.to];
+      if (!a || !b) return;
+      const ya = a.y + a.h / 2, yb = b.y + b.h / 2;
+      const bx = a.x - 24 - Math.min(Math.abs(ya - yb) * 0.2, 60);
+      const w = Math.min(Math.max(f.amount * scale, 1.5), 8);
+      html += `<path d="M${a.x},${ya} C${bx},${ya} ${bx},${yb} ${a.x - 2},${yb}" fill="none" stroke="var(--bl)" stroke-width="${w}" stroke-dasharray="4,3" opacity="0.55" marker-end="url(#tfArrow)"><title>振替 ${escapeHtml(labels[f.from] || f.from)} → ${escapeHtml(labels[f.to] || f.to)} ${FY(f.amount)}</title></path>`;
+      html += `<text x="${bx + 8}" y="${(ya + yb) / 2}" text-anchor="end" dominant-baseline="middle" fill="var(--bl)" font-size="8">${F(f.amount)}</text>`;
+    });
+  }
+
   // ノードを描画（クリックで明細表示）
   columns.forEach((col, ci) => col.forEach(nm => {
     const p = np[nm];
     const enm = escapeHtml(nm);
+    const elb = escapeHtml(labels[nm] || nm);
+
+    // クリック時の明細表示（0:収入明細, 1:金融機関明細, 2:支出明細, 3:中項目の支出明細）
+    let click;
+    if (ci === 0) click = `showIncomeDetail('${enm}')`;
+    else if (ci === 1 && nm.startsWith(MEMBER_NODE)) click = `showInstitutionDetail('${escapeHtml(nm.slice(MEMBER_NODE.length))}',true)`;
+    else if (ci === 1) click = `showInstitutionDetail('${enm}')`;
+    else if (ci === 2) click = `showDetail('${enm}')`;
+    else {
+      const [cat, sub] = nm.split('›');
+      click = `showDetail('${escapeHtml(cat)}','${escapeHtml(sub)}')`;
+    }
 
     if (ci === 0) {
-      // 左列：収入源（クリック→収入明細）
-      html += `<g style="cursor:pointer" onclick="showIncomeDetail('${enm}')">`;
+      // 左列：収入源
+      html += `<g style="cursor:pointer" onclick="${click}">`;
       html += `<rect x="${p.x - 180}" y="${p.y - 2}" width="${180 + NW}" height="${Math.max(p.h, 2) + 18}" fill="transparent"/>`;
       html += `<rect x="${p.x}" y="${p.y}" width="${NW}" height="${Math.max(p.h, 2)}" rx="2" fill="var(--bd)" opacity="0.8"/>`;
-      html += `<text x="${p.x - 5}" y="${p.y + p.h / 2}" text-anchor="end" dominant-baseline="middle" fill="var(--t2)" font-size="10">${enm}</text>`;
+      html += `<text x="${p.x - 5}" y="${p.y + p.h / 2}" text-anchor="end" dominant-baseline="middle" fill="var(--t2)" font-size="10">${elb}</text>`;
       html += `<text x="${p.x - 5}" y="${p.y + p.h / 2 + 12}" text-anchor="end" fill="var(--t3)" font-size="8.5">${FY(nv[nm])}</text>`;
       html += `</g>`;
-    } else if (ci === 2) {
-      // 右列：支出先（クリック→支出明細）
-      html += `<g style="cursor:pointer" onclick="showDetail('${enm}')">`;
+    } else if (ci === nCols - 1) {
+      // 右列：支出先 / 中項目
+      html += `<g style="cursor:pointer" onclick="${click}">`;
       html += `<rect x="${p.x}" y="${p.y - 2}" width="${NW + 150}" height="${Math.max(p.h, 2) + 18}" fill="transparent"/>`;
       html += `<rect x="${p.x}" y="${p.y}" width="${NW}" height="${Math.max(p.h, 2)}" rx="2" fill="var(--bd)" opacity="0.8"/>`;
-      html += `<text x="${p.x + NW + 5}" y="${p.y + p.h / 2}" text-anchor="start" dominant-baseline="middle" fill="var(--t2)" font-size="10">${enm}</text>`;
+      html += `<text x="${p.x + NW + 5}" y="${p.y + p.h / 2}" text-anchor="start" dominant-baseline="middle" fill="var(--t2)" font-size="10">${elb}</text>`;
       html += `<text x="${p.x + NW + 5}" y="${p.y + p.h / 2 + 12}" text-anchor="start" fill="var(--t3)" font-size="8.5">${FY(nv[nm])}</text>`;
       html += `</g>`;
     } else {
-      // 中央列：金融機関（クリック→金融機関明細）
-      html += `<g style="cursor:pointer" onclick="showInstitutionDetail('${enm}')">`;
+      // 中間列：金融機関 / 大項目
+      html += `<g style="cursor:pointer" onclick="${click}">`;
       html += `<rect x="${p.x - 45}" y="${p.y - 14}" width="${NW + 90}" height="${Math.max(p.h, 2) + 30}" fill="transparent"/>`;
       html += `<rect x="${p.x}" y="${p.y}" width="${NW}" height="${Math.max(p.h, 2)}" rx="2" fill="var(--bd)" opacity="0.8"/>`;
-      html += `<text x="${p.x + NW / 2}" y="${p.y - 4}" text-anchor="middle" fill="var(--tx)" font-size="9" font-weight="600">${enm}</text>`;
+      html += `<text x="${p.x + NW / 2}" y="${p.y - 4}" text-anchor="middle" fill="var(--tx)" font-size="9" font-weight="600">${elb}</text>`;
       html += `<text x="${p.x + NW / 2}" y="${p.y + p.h + 10}" text-anchor="middle" fill="var(--t3)" font-size="8">${FY(nv[nm])}</text>`;
       html += `</g>`;
     }
   }));
 
   // 列ヘッダー
-  ['収入', '保有金融機関', '大項目'].forEach((l, i) => {
+  ['収入', byMember ? 'メンバー / 金融機関' : '保有金融機関', '大項目', '中項目'].slice(0, nCols).forEach((l, i) => {
     if (columns[i].length) {
       html += `<text x="${colX[i] + NW / 2}" y="8" text-anchor="middle" fill="var(--t3)" font-size="9">${l}</text>`;
     }
@@ -1295,6 +2654,11 @@ function renderTrendControls() {
   });
   h += `</select>`;
   h += `<button class="trend-period-btn${periodMode ? ' active' : ''}" onclick="togglePeriodMode()">${periodMode ? '📅 期間指定中' : '📅 期間指定'}</button>`;
+  h += `<button class="trend-period-btn${yoyMode ? ' active' : ''}" onclick="toggleYoY()">↔ 前年比較</button>`;
+  h += `<button class="trend-period-btn${yearTableExpanded ? ' active' : ''}" onclick="toggleYearTableExpanded()">📋 費目別</button>`;
+  if (yearTableExpanded) {
+    h += `<select class="trend-year-sel" onchange="setHeatBasis(this.value)">${[{ key: 'budget', label: '予算比' }, { key: 'avg', label: '平均比' }].map(o => `<option value="${o.key}"${o.key === heatBasis ? ' selected' : ''}>${o.label}</option>`).join('')}</select>`;
+  }
 
   el.innerHTML = h;
 }
@@ -1320,72 +2684,2702 @@ function togglePeriodMode() {
   renderYearTable();
 }
 
-// ========================================
-// 設定画面
-// ========================================
+// ========================================
+// 設定画面
+// ========================================
+
+/**
+ * 設定画面を描画
+ */
+function renderSettings() {
+  // 全カテゴリを取得
+  const allCats = [...new Set(allMonths.flatMap(m => Object.keys(monthSummaries[m].expenses || {})))].sort();
+
+  // 予算設定（毎月 or 年額、繰越、選択月のみの上書き）
+  const sm = selectedMonth;
+  let bh = sm ? `<p class="set-hint" style="margin-bottom:6px">「${sm}のみ」は選択中の月だけ予算を上書き（空欄で毎月の予算を使用）。実効 = ${sm}に適用される予算</p>` : '';
+  bh += '<div style="display:grid;grid-template-columns:repeat(3,1fr);gap:6px">';
+  allCats.forEach(k => {
+    if (!BUDGETS[k]) BUDGETS[k] = 0;
+    const ek = escapeHtml(k);
+    const o = BUDGET_OPTIONS[k] || {};
+    const ov = (BUDGET_OVERRIDES[sm] || {})[k];
+    bh += `<div style="background:var(--s2);border-radius:5px;padding:8px"><label style="font-size:9px;color:var(--t2);display:block;margin-bottom:3px">${ek}</label><input type="number" value="${BUDGETS[k]}" onchange="setBudget('${ek}',this.value)" style="width:100%;background:var(--s3);border:1px solid var(--bd);color:var(--tx);padding:4px 6px;border-radius:4px;font-size:11px;font-family:inherit">
+      <div class="budget-opts">
+        <select class="set-select" onchange="setBudgetOption('${ek}','annual',this.value==='1')"><option value="0">月額</option><option value="1"${o.annual ? ' selected' : ''}>年額÷12</option></select>
+        <label><input type="checkbox"${o.rollover ? ' checked' : ''} onchange="setBudgetOption('${ek}','rollover',this.checked)">繰越</label>
+      </div>
+      ${sm ? `<div class="budget-opts"><input type="number" class="budget-ov" value="${ov === undefined ? '' : ov}" placeholder="${sm}のみ" onchange="setBudgetOverride('${ek}','${sm}',this.value)"><span class="set-note">実効 ${F(effectiveBudget(k, sm))}</span></div>` : ''}
+    </div>`;
+  });
+  bh += '</div>';
+
+  // 中項目別予算（任意）
+  const subsByCat = {};
+  allMonths.forEach(m => Object.entries(monthSummaries[m].subExpenses || {}).forEach(([c, subs]) => {
+    Object.keys(subs).forEach(s => (subsByCat[c] = subsByCat[c] || new Set()).add(s));
+  }));
+  const subCats = Object.keys(subsByCat).sort();
+  if (subCats.length) {
+    bh += `<details class="sub-budget"${Object.keys(SUB_BUDGETS).length ? ' open' : ''}><summary>中項目別予算（任意）</summary>`;
+    subCats.forEach(c => {
+      const ec = escapeHtml(c);
+      bh += `<div class="sub-budget-cat">${ec}</div><div style="display:grid;grid-template-columns:repeat(3,1fr);gap:6px">`;
+      [...subsByCat[c]].sort().forEach(s => {
+        const es = escapeHtml(s);
+        const v = (SUB_BUDGETS[c] || {})[s] || '';
+        bh += `<div style="background:var(--s2);border-radius:5px;padding:6px 8px"><label style="font-size:9px;color:var(--t2);display:block;margin-bottom:3px">${es}</label><input type="number" value="${v}" placeholder="—" onchange="setSubBudget('${ec}','${es}',this.value)" style="width:100%;background:var(--s3);border:1px solid var(--bd);color:var(--tx);padding:4px 6px;border-radius:4px;font-size:11px;font-family:inherit"></div>`;
+      });
+      bh += '</div>';
+    });
+    bh += '</details>';
+  }
+  document.getElementById('budgetCfg').innerHTML = bh;
+
+  // 固定費・変動費切り替え
+  let ch = '<div style="display:flex;flex-wrap:wrap;gap:5px">';
+  allCats.forEach(k => {
+    const isF = FIXED_CATS.has(k);
+    const ek2 = escapeHtml(k);
+    ch += `<button style="padding:4px 10px;border-radius:14px;font-size:10px;cursor:pointer;border:1px solid ${isF ? 'var(--am)' : 'var(--bd)'};background:${isF ? 'rgba(245,158,11,.12)' : 'var(--s3)'};color:${isF ? 'var(--am)' : 'var(--t2)'};font-family:inherit" onclick="toggleFixed('${ek2}')">${ek2} ${isF ? '固' : '変'}</button>`;
+  });
+  ch += '</div><p style="margin-top:6px;font-size:9px;color:var(--t3)">クリックで固定費⇔変動費を切り替え</p>';
+  document.getElementById('catCfg').innerHTML = ch;
+
+  // テーマ切り替え
+  const themeEl = document.getElementById('themeToggle');
+  if (themeEl) {
+    themeEl.innerHTML = [
+      { key: 'dark', label: '🌙 ダーク' },
+      { key: 'light', label: '☀️ ライト' }
+    ].map(t => {
+      const active = currentTheme === t.key;
+      return `<button style="padding:4px 12px;border-radius:14px;font-size:10px;cursor:pointer;border:1px solid ${active ? 'var(--gn)' : 'var(--bd)'};background:${active ? 'rgba(34,197,94,.12)' : 'var(--s3)'};color:${active ? 'var(--gn)' : 'var(--t2)'};font-family:inherit" onclick="setTheme('${t.key}');renderSettings()">${t.label}</button>`;
+    }).join('');
+  }
+
+  // 会計期間の開始日
+  const periodEl = document.getElementById('periodStartCfg');
+  if (periodEl) {
+    let ph = `<select class="set-select" onchange="setPeriodStartDay(this.value).then(renderSettings)">`;
+    for (let d = 1; d <= 28; d++) {
+      ph += `<option value="${d}"${d === PERIOD_START_DAY ? ' selected' : ''}>${d === 1 ? '1日（暦月）' : `${d}日`}</option>`;
+    }
+    ph += '</select>';
+    if (PERIOD_START_DAY > 1) {
+      ph += `<span class="set-note">例: ${PERIOD_START_DAY}日〜翌月${PERIOD_START_DAY - 1}日を翌月分として集計</span>`;
+    }
+    periodEl.innerHTML = ph;
+  }
+
+  // 返金の扱い
+  const refundEl = document.getElementById('refundNettingToggle');
+  if (refundEl) {
+    refundEl.innerHTML = [
+      { on: true, label: '支出と相殺' },
+      { on: false, label: '収入として計上' }
+    ].map(o => {
+      const active = REFUND_NETTING === o.on;
+      return `<button style="padding:4px 12px;border-radius:14px;font-size:10px;cursor:pointer;border:1px solid ${active ? 'var(--gn)' : 'var(--bd)'};background:${active ? 'rgba(34,197,94,.12)' : 'var(--s3)'};color:${active ? 'var(--gn)' : 'var(--t2)'};font-family:inherit" onclick="setRefundNetting(${o.on}).then(renderSettings)">${o.label}</button>`;
+    }).join('');
+  }
+
+  // 予算アラートのしきい値
+  const alertEl = document.getElementById('budgetAlertCfg');
+  if (alertEl) {
+    const sel = (key, from, to, step) => {
+      let s = `<select class="set-select" onchange="setBudgetAlert('${key}', this.value).then(renderSettings)">`;
+      for (let p = from; p <= to; p += step) {
+        s += `<option value="${p}"${p === BUDGET_ALERT[key] ? ' selected' : ''}>${p}%</option>`;
+      }
+      return s + '</select>';
+    };
+    alertEl.innerHTML = `<span class="set-note">注意</span>${sel('warn', 50, 100, 5)}<span class="set-note">超過</span>${sel('over', 80, 150, 10)}<span class="set-note">月末予測が予算のこの割合に達したら表示</span>`;
+  }
+
+  // 異常検知のしきい値
+  const anomalyEl = document.getElementById('anomalyCfg');
+  if (anomalyEl) {
+    const sel = (key, fmt) => `<select class="set-select" onchange="setAnomalyThreshold('${key}', this.value)">${ANOMALY_OPTIONS[key].map(v => `<option value="${v}"${v === ANOMALY_THRESHOLDS[key] ? ' selected' : ''}>${fmt(v)}</option>`).join('')}</select>`;
+    anomalyEl.innerHTML = `<span class="set-note">過去</span>${sel('months', v => `${v}ヶ月`)}<span class="set-note">の平均の</span>${sel('catRatio', v => `${v}倍`)}<span class="set-note">以上の費目・</span>${sel('txnMin', F)}<span class="set-note">円以上でその期間に初めての支払い先か中央値の</span>${sel('txnRatio', v => `${v}倍`)}<span class="set-note">以上の取引</span>`
+      + (ANOMALY_DISMISSED.size ? `<button class="trend-period-btn" onclick="resetAnomalyDismissed()">非表示にした${ANOMALY_DISMISSED.size}件を戻す</button>` : '');
+  }
+
+  renderSavingsGoalCfg();
+  renderRecatRules();
+  renderIncomeRules();
+  renderMerchantAliases();
+  renderHouseholdCfg();
+
+  // フォントサイズ切り替え
+  const fontEl = document.getElementById('fontSizeToggle');
+  if (fontEl) {
+    fontEl.innerHTML = FONT_SIZES.map(f => {
+      const active = currentFontScale === f.scale;
+      return `<button style="padding:4px 12px;border-radius:14px;font-size:10px;cursor:pointer;border:1px solid ${active ? 'var(--gn)' : 'var(--bd)'};background:${active ? 'rgba(34,197,94,.12)' : 'var(--s3)'};color:${active ? 'var(--gn)' : 'var(--t2)'};font-family:inherit" onclick="setFontScale(${f.scale});renderSettings()">${f.label}</button>`;
+    }).join('');
+  }
+}
+
+/**
+ * 中項目別予算を設定（0または空欄で解除）
+ * @param {string} cat - 大項目
+ * @param {string} sub - 中項目
+ * @param {string} value - 入力値
+ */
+function setSubBudget(cat, sub, value) {
+  const v = parseInt(value, 10) || 0;
+  if (v) {
+    (SUB_BUDGETS[cat] = SUB_BUDGETS[cat] || {})[sub] = v;
+  } else if (SUB_BUDGETS[cat]) {
+    delete SUB_BUDGETS[cat][sub];
+    if (!Object.keys(SUB_BUDGETS[cat]).length) delete SUB_BUDGETS[cat];
+  }
+  saveConfig();
+  renderAll();
+}
+
+/**
+ * カテゴリの固定費/変動費を切り替え
+ * @param {string} k - カテゴリ名
+ */
+function toggleFixed(k) {
+  if (FIXED_CATS.has(k)) {
+    FIXED_CATS.delete(k);
+  } else {
+    FIXED_CATS.add(k);
+  }
+  saveConfig();
+  renderSettings();
+  renderAll();
+}
+
+// ========================================
+// 予算の提案（過去の実績から算出）
+// ========================================
+
+/**
+ * 予算提案の条件
+ * n: 対象月数、stat: 提案に使う統計値、auto: 外れ値を自動除外、excluded: 手動で除外した "費目|||月キー"
+ */
+let suggestOpts = { n: 6, stat: 'median', auto: true, excluded: new Set() };
+
+/** 予算提案の統計値 */
+const SUGGEST_STATS = [
+  { key: 'median', label: '中央値' },
+  { key: 'avg', label: '平均' },
+  { key: 'p75', label: '75%点' }
+];
+
+/**
+ * 分位点を計算（線形補間）
+ * @param {number[]} sorted - 昇順に並べた値
+ * @param {number} q - 0〜1
+ * @returns {number} 分位点
+ */
+function quantile(sorted, q) {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * 費目ごとの過去実績と提案額を計算
+ * 選択月までのデータのある直近N ヶ月が対象（支出のない月は0円として扱う）
+ * 自動除外は四分位範囲の1.5倍を超えて大きい月（家電の購入など一時的な出費）
+ * @returns {{months: string[], rows: Array<{cat: string, values: Array<{mk: string, v: number, out: boolean}>, median: number, avg: number, p75: number, suggest: number}>}}
+ */
+function computeBudgetSuggestions() {
+  const months = allMonths.filter(m => !selectedMonth || m <= selectedMonth).slice(-suggestOpts.n);
+  const cats = [...new Set(months.flatMap(m => Object.keys(monthSummaries[m].expenses || {})))].sort();
+
+  const rows = cats.map(cat => {
+    const raw = months.map(mk => ({ mk, v: Math.max(0, (monthSummaries[mk].expenses || {})[cat] || 0) }));
+    const all = raw.map(r => r.v).sort((a, b) => a - b);
+    const limit = quantile(all, 0.75) + (quantile(all, 0.75) - quantile(all, 0.25)) * 1.5;
+    const values = raw.map(r => ({
+      ...r,
+      out: suggestOpts.excluded.has(`${cat}|||${r.mk}`) || (suggestOpts.auto && months.length >= 4 && r.v > limit)
+    }));
+
+    const used = values.filter(r => !r.out).map(r => r.v).sort((a, b) => a - b);
+    const median = Math.round(quantile(used, 0.5));
+    const avg = used.length ? Math.round(used.reduce((a, b) => a + b, 0) / used.length) : 0;
+    const p75 = Math.round(quantile(used, 0.75));
+    // 提案額は千円単位に切り上げ
+    const base = { median, avg, p75 }[suggestOpts.stat];
+    return { cat, values, median, avg, p75, suggest: Math.ceil(base / 1000) * 1000 };
+  });
+
+  return { months, rows };
+}
+
+/**
+ * 予算提案の条件を変更して再表示
+ * @param {string} key - 条件名
+ * @param {*} value - 値
+ */
+function setSuggestOpt(key, value) {
+  suggestOpts[key] = value;
+  showBudgetSuggest();
+}
+
+/**
+ * 予算提案で月を除外/復帰
+ * @param {string} cat - 費目
+ * @param {string} mk - 月キー
+ */
+function toggleSuggestMonth(cat, mk) {
+  const key = `${cat}|||${mk}`;
+  if (suggestOpts.excluded.has(key)) suggestOpts.excluded.delete(key);
+  else suggestOpts.excluded.add(key);
+  showBudgetSuggest();
+}
+
+/**
+ * 予算の提案をモーダルに表示
+ */
+function showBudgetSuggest() {
+  const { months, rows } = computeBudgetSuggestions();
+  document.getElementById('modalTitle').textContent = '💡 予算の提案';
+  modalTxns = [];
+  modalReturn = null;
+
+  if (!rows.length) {
+    document.getElementById('modalBody').innerHTML = '<p style="color:var(--t3);font-size:14px;padding:20px;text-align:center">データなし</p>';
+    document.getElementById('modalBg').classList.add('show');
+    return;
+  }
+
+  let h = `<div class="txf">
+    <label class="txf-lb">対象<select class="txf-in" onchange="setSuggestOpt('n',parseInt(this.value,10))">${[3, 6, 12].map(n => `<option value="${n}"${n === suggestOpts.n ? ' selected' : ''}>直近${n}ヶ月</option>`).join('')}</select></label>
+    <label class="txf-lb">提案に使う値<select class="txf-in" onchange="setSuggestOpt('stat',this.value)">${SUGGEST_STATS.map(s => `<option value="${s.key}"${s.key === suggestOpts.stat ? ' selected' : ''}>${s.label}</option>`).join('')}</select></label>
+    <label class="txf-lb"><input type="checkbox"${suggestOpts.auto ? ' checked' : ''} onchange="setSuggestOpt('auto',this.checked)">外れ値を自動除外</label>
+  </div>
+  <p class="set-hint">${escapeHtml(months[0])}〜${escapeHtml(months[months.length - 1])}。月の金額をクリックで除外/復帰（取り消し線 = 除外）、提案額は千円単位に切り上げ</p>
+  <div class="tbl-wrap"><table class="tl sg">
+    <thead><tr><th><input type="checkbox" checked onchange="document.querySelectorAll('.sg-ck').forEach(c=>c.checked=this.checked)"></th><th>費目</th><th class="num">現在</th>${SUGGEST_STATS.map(s => `<th class="num">${s.label}</th>`).join('')}<th class="num">提案</th>${months.map(m => `<th class="num">${parseInt(m.split('/')[1], 10)}月</th>`).join('')}</tr></thead><tbody>`;
+
+  rows.forEach((r, i) => {
+    // 適用で置き換わる基本の予算（月ごとの上書き・繰り越しを含まない月額）と比較
+    const cur = baseBudget(r.cat);
+    const ec = escapeHtml(r.cat);
+    h += `<tr>
+      <td><input type="checkbox" class="sg-ck" data-i="${i}"${r.suggest !== cur ? ' checked' : ''}></td>
+      <td>${ec}</td>
+      <td class="num" style="color:var(--t3)">${cur ? F(cur) : '—'}</td>
+      ${SUGGEST_STATS.map(s => `<td class="num"${s.key === suggestOpts.stat ? ' style="color:var(--tx)"' : ''}>${F(r[s.key])}</td>`).join('')}
+      <td class="num" style="color:var(--cn);font-weight:700">${F(r.suggest)}</td>
+      ${r.values.map(v => `<td class="num sg-m${v.out ? ' out' : ''}" onclick="toggleSuggestMonth('${ec}','${v.mk}')">${F(v.v)}</td>`).join('')}
+    </tr>`;
+  });
+  h += `</tbody></table></div>
+  <div class="rule-actions">
+    <button class="sb-btn btn-action" onclick="applyBudgetSuggest(true)">選択した費目に適用</button>
+    <button class="sb-btn" onclick="applyBudgetSuggest(false)">すべて適用</button>
+  </div>`;
+
+  document.getElementById('modalBody').innerHTML = h;
+  document.getElementById('modalBg').classList.add('show');
+}
+
+/**
+ * 提案額を予算に反映
+ * 年額設定の費目は提案額の12倍を年額として保存
+ * @param {boolean} onlyChecked - チェックした費目のみ反映するか
+ */
+function applyBudgetSuggest(onlyChecked) {
+  const { rows } = computeBudgetSuggestions();
+  const picked = onlyChecked
+    ? [...document.querySelectorAll('.sg-ck:checked')].map(c => rows[parseInt(c.dataset.i, 10)]).filter(Boolean)
+    : rows;
+  if (!picked.length) { toast('⚠️ 費目を選択してください'); return; }
+
+  picked.forEach(r => {
+    BUDGETS[r.cat] = (BUDGET_OPTIONS[r.cat] || {}).annual ? r.suggest * 12 : r.suggest;
+  });
+  saveConfig();
+  closeModal();
+  renderAll();
+  toast(`💡 ${picked.length}費目の予算を更新しました`);
+}
+
+// ========================================
+// 貯蓄目標
+// ========================================
+
+/**
+ * 貯蓄目標の初期値
+ * @returns {{rate: number, amount: number, goals: Array}} rate: 目標貯蓄率（%）、amount: 毎月の目標貯蓄額、goals: 長期目標
+ */
+function defaultSavingsGoals() {
+  return { rate: 25, amount: 0, goals: [] };
+}
+
+/**
+ * 貯蓄目標の設定を保存
+ */
+async function saveSavingsGoals() {
+  await dbPut('config', { key: 'savingsGoals', value: SAVINGS_GOALS });
+}
+
+/**
+ * 目標貯蓄率・毎月の目標貯蓄額を設定
+ * @param {string} key - "rate" or "amount"
+ * @param {string} value - 入力値
+ */
+function setSavingsTarget(key, value) {
+  const v = Math.max(parseInt(value, 10) || 0, 0);
+  SAVINGS_GOALS[key] = key === 'rate' ? Math.min(v, 100) : v;
+  saveSavingsGoals();
+  renderAll();
+}
+
+/**
+ * 長期目標を追加（開始月は選択月、期限は1年後）
+ */
+function addSavingsGoal() {
+  const start = selectedMonth || currentPeriod();
+  SAVINGS_GOALS.goals.push({ name: '', target: 0, start, due: shiftMonth(start, 11), share: 100 });
+  saveSavingsGoals();
+  renderSavingsGoalCfg();
+}
+
+/**
+ * 長期目標の項目を更新
+ * @param {number} i - 目標のインデックス
+ * @param {string} key - 項目名
+ * @param {string} value - 入力値
+ */
+function updateSavingsGoal(i, key, value) {
+  const g = SAVINGS_GOALS.goals[i];
+  if (!g) return;
+  if (key === 'target' || key === 'share') {
+    g[key] = Math.max(parseInt(value, 10) || 0, 0);
+    if (key === 'share') g.share = Math.min(g.share, 100);
+  } else if (key === 'start' || key === 'due') {
+    if (value) g[key] = value.replace('-', '/');
+  } else {
+    g[key] = value.trim().substring(0, 30);
+  }
+  saveSavingsGoals();
+  renderAll();
+}
+
+/**
+ * 長期目標を削除
+ * @param {number} i - 目標のインデックス
+ */
+function removeSavingsGoal(i) {
+  SAVINGS_GOALS.goals.splice(i, 1);
+  saveSavingsGoals();
+  renderAll();
+}
+
+/**
+ * 長期目標の進捗を計算
+ * 開始月から選択月（期限を過ぎていれば期限月）までの毎月の残高に配分率を掛けて累計
+ * @param {Object} g - 長期目標 {name, target, start, due, share}
+ * @returns {{saved: number, months: number, left: number, need: number, expected: number}}
+ *   saved: 累計額、months: 集計した月数、left: 期限までの残り月数、need: 達成に必要な月あたりの額、expected: 期間の経過に比例した目安額
+ */
+function savingsGoalProgress(g) {
+  const until = selectedMonth && selectedMonth < g.due ? selectedMonth : g.due;
+  let saved = 0, months = 0;
+  for (let m = g.start; m <= until; m = shiftMonth(m, 1)) {
+    const t = monthTotals(m);
+    if (t) saved += Math.round((t.income - t.expense) * (g.share ?? 100) / 100);
+    months++;
+  }
+  saved = Math.max(saved, 0);
+
+  let total = 0;
+  for (let m = g.start; m <= g.due; m = shiftMonth(m, 1)) total++;
+  const left = Math.max(total - months, 0);
+  const need = left ? Math.max(Math.ceil((g.target - saved) / left), 0) : 0;
+  return { saved, months, left, need, expected: total ? Math.round(g.target * months / total) : g.target };
+}
+
+/**
+ * 進捗バーのHTMLを生成
+ * @param {number} pct - 進捗率（%）
+ * @param {string} color - バーの色
+ * @returns {string} HTML
+ */
+function goalBar(pct, color) {
+  return `<div class="goal-bar"><div class="goal-bar-f" style="width:${Math.min(Math.max(pct, 0), 100)}%;background:${color}"></div></div>`;
+}
+
+/**
+ * ダッシュボードの貯蓄目標パネルを描画
+ */
+function renderGoals() {
+  const el = document.getElementById('goalPanel');
+  if (!el) return;
+  const d = cd();
+  const te = Object.values(d.expenses || {}).reduce((a, b) => a + b, 0);
+  const bal = d.income - te;
+  const sr = d.income > 0 ? Math.round(bal / d.income * 100) : 0;
+  const { rate, amount, goals } = SAVINGS_GOALS;
+
+  let h = '';
+  if (rate) {
+    const ok = sr >= rate;
+    h += `<div class="goal-rw"><span class="goal-nm">貯蓄率</span><span class="goal-vl" style="color:${ok ? 'var(--gn)' : 'var(--am)'}">${sr}% / 目標${rate}%</span></div>${goalBar(sr / rate * 100, ok ? 'var(--gn)' : 'var(--am)')}`;
+  }
+  if (amount) {
+    const ok = bal >= amount;
+    h += `<div class="goal-rw"><span class="goal-nm">今月の貯蓄額</span><span class="goal-vl" style="color:${ok ? 'var(--gn)' : 'var(--am)'}">${FY(bal)} / ${FY(amount)}</span></div>${goalBar(bal / amount * 100, ok ? 'var(--gn)' : 'var(--am)')}`;
+  }
+
+  goals.filter(g => g.target > 0).forEach(g => {
+    const p = savingsGoalProgress(g);
+    const pct = Math.round(p.saved / g.target * 100);
+    const done = p.saved >= g.target;
+    const onTrack = done || p.saved >= p.expected;
+    const color = done ? 'var(--gn)' : onTrack ? 'var(--bl)' : 'var(--am)';
+    const status = done ? '🎉 達成' : p.left ? `残り${p.left}ヶ月・月${FY(p.need)}で達成${onTrack ? '' : '（遅れ気味）'}` : '期限終了';
+    h += `<div class="goal-rw"><span class="goal-nm">${escapeHtml(g.name || '（無題）')}<span class="goal-due">〜${escapeHtml(g.due)}</span></span><span class="goal-vl" style="color:${color}">${FY(p.saved)} / ${FY(g.target)}（${pct}%）</span></div>${goalBar(pct, color)}<div class="goal-st">${status}</div>`;
+  });
+
+  el.innerHTML = h || '<p class="set-hint">設定画面の「貯蓄目標」で目標を設定できます</p>';
+}
+
+/**
+ * 設定画面の貯蓄目標欄を描画
+ */
+function renderSavingsGoalCfg() {
+  const el = document.getElementById('savingsGoalCfg');
+  if (!el) return;
+  const { rate, amount, goals } = SAVINGS_GOALS;
+  const inp = (i, key, v, ph, type = 'text') => `<input class="rule-in" type="${type}" value="${escapeHtml(String(v ?? ''))}" placeholder="${ph}" onchange="updateSavingsGoal(${i},'${key}',this.value)">`;
+
+  let h = `<div class="set-row"><label class="set-label">目標貯蓄率</label><div class="set-opts"><input class="rule-in" type="number" min="0" max="100" value="${rate || ''}" placeholder="なし" onchange="setSavingsTarget('rate',this.value)"><span class="set-note">%（貯蓄率グラフの目標ライン）</span></div></div>`;
+  h += `<div class="set-row"><label class="set-label">毎月の目標額</label><div class="set-opts"><input class="rule-in" type="number" min="0" value="${amount || ''}" placeholder="なし" onchange="setSavingsTarget('amount',this.value)"><span class="set-note">円</span></div></div>`;
+
+  h += '<p class="set-hint">長期目標：開始月からの毎月の残高 ×配分率 を累計して進捗を表示（複数の目標で貯蓄を分け合う場合は配分率の合計を100%以下に）</p>';
+  goals.forEach((g, i) => {
+    h += `<div class="rule-rw">
+      <span class="rule-no">${i + 1}</span>
+      ${inp(i, 'name', g.name, '目標名（例: 旅行資金）')}
+      ${inp(i, 'target', g.target || '', '目標額', 'number')}<span class="rule-sep">円</span>
+      ${inp(i, 'start', g.start.replace('/', '-'), '', 'month')}<span class="rule-sep">〜</span>${inp(i, 'due', g.due.replace('/', '-'), '', 'month')}
+      <span class="rule-sep">配分</span>${inp(i, 'share', g.share ?? 100, '100', 'number')}<span class="rule-sep">%</span>
+      <span class="rule-ops"><button class="rule-btn del" onclick="removeSavingsGoal(${i})" title="削除">✕</button></span>
+    </div>`;
+  });
+  h += '<div class="rule-actions"><button class="sb-btn" onclick="addSavingsGoal()">＋ 目標を追加</button></div>';
+  el.innerHTML = h;
+}
+
+// ========================================
+// 資産推移（口座残高）
+// ========================================
+
+/** 残高スナップショットで資産合計を表すキー */
+const TOTAL_BALANCE_KEY = '合計';
+
+/** 資産推移の棒グラフに表示する口座（未選択なら最新残高の上位3口座） */
+let assetSel = [];
+
+/** 資産推移の口座の色 */
+const ASSET_COLORS = ['var(--gn)', 'var(--am)', 'var(--pp)', 'var(--cn)'];
+
+/**
+ * 口座設定を保存
+ */
+async function saveAccounts() {
+  await dbPut('config', { key: 'accounts', value: ACCOUNTS });
+  await dbPut('config', { key: 'balanceSnapshots', value: BALANCE_SNAPSHOTS });
+}
+
+/**
+ * 口座の開始残高・開始月を設定
+ * @param {string} acc - 金融機関
+ * @param {string} key - "opening" or "since"
+ * @param {string} value - 入力値
+ */
+function setAccount(acc, key, value) {
+  const a = ACCOUNTS[acc] = ACCOUNTS[acc] || { opening: 0, since: allMonths[0] || currentPeriod() };
+  if (key === 'opening') a.opening = parseInt(value, 10) || 0;
+  else if (value) a.since = value.replace('-', '/');
+  saveAccounts();
+  renderAssets();
+}
+
+/**
+ * 資産推移の棒グラフに表示する口座を切り替え
+ * @param {string} acc - 金融機関
+ */
+function toggleAssetAccount(acc) {
+  if (assetSel.includes(acc)) assetSel = assetSel.filter(a => a !== acc);
+  else if (assetSel.length < ASSET_COLORS.length) assetSel.push(acc);
+  else toast(`⚠️ 同時に表示できるのは${ASSET_COLORS.length}口座までです`);
+  renderAssets();
+}
+
+/**
+ * 全口座の月末残高を計算
+ * 開始月の開始残高に毎月の取引（accountFlows）を積み上げ、残高CSVの値がある月はその値に合わせる
+ * @param {string} until - 計算する最後の月キー
+ * @returns {Object<string, Object<string, {balance: number, diff: number|undefined}>>} {口座: {月キー: {残高, 残高CSVとの差異}}}
+ */
+function accountBalances(until) {
+  const accs = new Set(Object.keys(ACCOUNTS));
+  allMonths.forEach(m => Object.keys(monthSummaries[m].accountFlows || {}).forEach(a => accs.add(a)));
+
+  const res = {};
+  accs.forEach(acc => {
+    const a = ACCOUNTS[acc] || { opening: 0, since: allMonths[0] };
+    if (!a.since) return;
+    let bal = a.opening;
+    res[acc] = {};
+    for (let m = a.since; m <= until; m = shiftMonth(m, 1)) {
+      bal += ((monthSummaries[m] || {}).accountFlows || {})[acc] || 0;
+      const snap = (BALANCE_SNAPSHOTS[m] || {})[acc];
+      let diff;
+      if (snap !== undefined) {
+        diff = snap - bal;
+        bal = snap;
+      }
+      res[acc][m] = { balance: bal, diff };
+    }
+  });
+  return res;
+}
+
+/**
+ * 資産推移ビューを描画（選択月を基準に12ヶ月）
+ */
+function renderAssets() {
+  const svg = document.getElementById('assetSvg');
+  const tbl = document.getElementById('assetTable');
+  if (!svg || !tbl) return;
+
+  const months = getMonthRange();
+  if (!months.length) {
+    svg.innerHTML = '<text x="50%" y="50" text-anchor="middle" fill="var(--t3)" font-size="12">データなし</text>';
+    tbl.innerHTML = '';
+    return;
+  }
+  const last = months[months.length - 1];
+  const bals = accountBalances(last);
+  const latest = acc => (bals[acc][last] || {}).balance || 0;
+  const accs = Object.keys(bals).sort((a, b) => latest(b) - latest(a));
+  if (!assetSel.length) assetSel = accs.slice(0, 3);
+  assetSel = assetSel.filter(a => bals[a]);
+
+  // グラフ（棒: 選択した口座、折れ線: 資産合計）
+  const total = mk => accs.reduce((s, a) => s + ((bals[a][mk] || {}).balance || 0), 0);
+  const data = months.map(mk => ({
+    label: `${parseInt(mk.split('/')[1], 10)}月`,
+    bars: assetSel.map(a => (bals[a][mk] || {}).balance || 0),
+    line: mk <= (allMonths[allMonths.length - 1] || '') ? total(mk) : undefined
+  }));
+  drawBarLine('assetSvg', data, 780, 260, { bars: ASSET_COLORS, line: 'var(--bl)' });
+
+  document.getElementById('assetLegend').innerHTML = accs.map(a => {
+    const i = assetSel.indexOf(a);
+    return `<span class="ct-chip asset-chip${i === -1 ? ' off' : ''}" style="${i === -1 ? '' : `border-color:${ASSET_COLORS[i]};color:${ASSET_COLORS[i]}`}" onclick="toggleAssetAccount('${escapeHtml(a)}')">${escapeHtml(a)}</span>`;
+  }).join('') + '<span class="cleg-i"><span class="cleg-d bg-bl circle"></span>資産合計</span>';
+
+  // 口座別の残高表（開始残高・開始月は直接編集）
+  const cell = (b, note) => {
+    if (!b) return '<td style="color:var(--t3)">—</td>';
+    const tip = b.diff ? ` title="残高CSVとの差異 ${b.diff > 0 ? '+' : ''}${F(b.diff)}（CSVの値に補正）"` : '';
+    return `<td${tip}${b.balance < 0 ? ' style="color:var(--rd)"' : ''}>${F(b.balance)}${b.diff ? '<span class="asset-fix">*</span>' : ''}${note || ''}</td>`;
+  };
+  let h = `<thead><tr><th>口座</th><th>開始月</th><th>開始残高</th>${months.map(mk => `<th>${parseInt(mk.split('/')[1], 10)}月</th>`).join('')}</tr></thead><tbody>`;
+  accs.forEach(a => {
+    const ea = escapeHtml(a);
+    const cfg = ACCOUNTS[a];
+    h += `<tr><td title="${ea}">${ea}</td>
+      <td><input class="asset-in" type="month" value="${(cfg ? cfg.since : allMonths[0] || '').replace('/', '-')}" onchange="setAccount('${ea}','since',this.value)"></td>
+      <td><input class="asset-in" type="number" value="${cfg ? cfg.opening : ''}" placeholder="未設定" onchange="setAccount('${ea}','opening',this.value)"></td>
+      ${months.map(mk => cell(bals[a][mk])).join('')}</tr>`;
+  });
+
+  // 合計行（資産推移CSVの合計との差異を表示）
+  h += `<tr class="tc"><td>合計</td><td></td><td></td>${months.map(mk => {
+    const snap = (BALANCE_SNAPSHOTS[mk] || {})[TOTAL_BALANCE_KEY];
+    const t = total(mk);
+    const diff = snap !== undefined ? snap - t : 0;
+    return `<td${diff ? ` title="資産推移CSVの合計 ${F(snap)}（差異 ${diff > 0 ? '+' : ''}${F(diff)}）" style="color:var(--am)"` : ''}>${F(t)}${diff ? '<span class="asset-fix">!</span>' : ''}</td>`;
+  }).join('')}</tr></tbody>`;
+  tbl.innerHTML = h;
+}
+
+/**
+ * マネーフォワードの残高CSVを取り込み、月末残高のスナップショットとして保存
+ * 「金融機関」「残高」列があれば口座別（日付列がなければ選択月）、
+ * 「日付」「合計」列があれば資産推移CSVとして月ごとの最終日の合計を保存
+ * @param {string} text - CSVテキスト
+ * @returns {number} 保存した件数
+ */
+function parseAssetCSV(text) {
+  const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+  if (lines.length < 2) throw new Error('データが見つかりません');
+  const header = pcsv(lines[0]);
+  const fc = (...n) => header.findIndex(h => n.some(x => h.includes(x)));
+  const iAcc = fc('金融機関', '口座');
+  const iBal = fc('残高');
+  const iD = fc('日付');
+  const iT = fc('合計');
+  const num = v => parseInt(String(v).replace(/[,円¥\s]/g, ''), 10);
+
+  let count = 0;
+  if (iAcc !== -1 && iBal !== -1) {
+    for (let i = 1; i < lines.length; i++) {
+      const c = pcsv(lines[i]);
+      const mk = iD !== -1 ? periodOfDate(c[iD] || '') : selectedMonth;
+      const v = num(c[iBal]);
+      if (!mk || isNaN(v)) continue;
+      const acc = c[iAcc].replace(/\(.*?\)/g, '').replace(/（.*?）/g, '').trim().substring(0, 14);
+      (BALANCE_SNAPSHOTS[mk] = BALANCE_SNAPSHOTS[mk] || {})[acc] = v;
+      count++;
+    }
+  } else if (iD !== -1 && iT !== -1) {
+    const lastDate = {};
+    for (let i = 1; i < lines.length; i++) {
+      const c = pcsv(lines[i]);
+      const mk = periodOfDate(c[iD] || '');
+      const v = num(c[iT]);
+      const dt = (c[iD] || '').replace(/-/g, '/');
+      if (!mk || isNaN(v) || (lastDate[mk] && lastDate[mk] > dt)) continue;
+      lastDate[mk] = dt;
+      (BALANCE_SNAPSHOTS[mk] = BALANCE_SNAPSHOTS[mk] || {})[TOTAL_BALANCE_KEY] = v;
+    }
+    count = Object.keys(lastDate).length;
+  } else {
+    throw new Error('「金融機関」「残高」または「日付」「合計」列が見つかりません');
+  }
+  return count;
+}
+
+/**
+ * 残高CSVファイルを読み込んで取り込み（Shift_JISで列が見つからなければUTF-8で再試行）
+ * @param {File} file - CSVファイル
+ * @param {string} [encoding='Shift_JIS'] - 文字コード
+ */
+function importAssetCSV(file, encoding = 'Shift_JIS') {
+  const r = new FileReader();
+  r.onload = async e => {
+    try {
+      const n = parseAssetCSV(e.target.result);
+      await saveAccounts();
+      renderAssets();
+      toast(`📥 残高を${n}件取り込みました`);
+    } catch (err) {
+      if (encoding === 'Shift_JIS') {
+        console.log('Shift_JISで読み込めなかったためUTF-8で再試行します:', err.message);
+        importAssetCSV(file, 'UTF-8');
+        return;
+      }
+      toast('⚠️ 残高CSVの読み込みに失敗しました: ' + err.message);
+    }
+  };
+  r.readAsText(file, encoding);
+}
+
+// ========================================
+// 請求予定（クレジットカード）
+// ========================================
+
+/** 請求予定に表示する引落月の数（選択月の前月から） */
+const BILLING_MONTHS = 4;
+
+/**
+ * カードの請求設定を保存
+ */
+async function saveCardBilling() {
+  await dbPut('config', { key: 'cardBilling', value: CARD_BILLING });
+}
+
+/**
+ * カードの請求設定を変更
+ * @param {string} acc - 金融機関（カード）
+ * @param {string} key - "card"（カードとして扱うか）/ "close" / "pay" / "offset" / "bank"
+ * @param {string|boolean} value - 入力値
+ */
+function setCardBilling(acc, key, value) {
+  if (key === 'card') {
+    if (value) CARD_BILLING[acc] = CARD_BILLING[acc] || { close: 0, pay: 27, offset: 1, bank: '' };
+    else delete CARD_BILLING[acc];
+  } else if (CARD_BILLING[acc]) {
+    CARD_BILLING[acc][key] = key === 'bank' ? value : parseInt(value, 10) || 0;
+  }
+  saveCardBilling();
+  renderBilling();
+}
+
+/**
+ * 暦月の指定日を取得（0 または月の日数を超える日は月末）
+ * @param {string} mk - 暦月キー
+ * @param {number} day - 日（0 = 月末）
+ * @returns {Date} 日付
+ */
+function dayOfMonth(mk, day) {
+  const [y, m] = mk.split('/').map(Number);
+  const last = new Date(y, m, 0).getDate();
+  return new Date(y, m - 1, day && day < last ? day : last);
+}
+
+/**
+ * 利用日から引落月を求める
+ * 締め日より後の利用は翌月締めになり、締め月の offset ヶ月後に引き落とされる
+ * @param {string} date - 利用日（"YYYY/MM/DD"）
+ * @param {Object} cfg - カードの請求設定
+ * @returns {string} 引落月の暦月キー
+ */
+function billingMonthOf(date, cfg) {
+  const mk = monthOfDate(date);
+  if (!mk) return '';
+  const day = parseInt(date.split('/')[2], 10);
+  const closeMonth = cfg.close && day > cfg.close ? shiftMonth(mk, 1) : mk;
+  return shiftMonth(closeMonth, cfg.offset);
+}
+
+/**
+ * カードごと・引落月ごとの請求額を集計
+ * 振替（カードへの入金＝引き落とし自体）は除き、返金は請求額から差し引く
+ * @param {string[]} months - 引落月の暦月キー
+ * @returns {Promise<Object<string, Object<string, {amount: number, txns: Array}>>>} {カード: {引落月: {請求額, 取引}}}
+ */
+async function billingStatements(months) {
+  // 引落月から最大3ヶ月前の利用分まで（会計期間のずれも含めて）所属月インデックスで取得
+  const lo = shiftMonth(months[0], -3);
+  const hi = months[months.length - 1];
+  const src = allMonths.filter(m => m >= lo && m <= hi);
+  const txns = (await Promise.all(src.map(m => dbGetByIndex('transactions', 'month', m)))).flat();
+
+  const res = {};
+  Object.keys(CARD_BILLING).forEach(card => {
+    res[card] = {};
+    months.forEach(mk => { res[card][mk] = { amount: 0, txns: [] }; });
+  });
+  txns.forEach(t => {
+    const cfg = CARD_BILLING[t.account];
+    if (!cfg || t.category === 'transfer') return;
+    const st = res[t.account][billingMonthOf(t.date, cfg)];
+    if (!st) return;
+    st.amount -= t.amount;
+    st.txns.push(t);
+  });
+  return res;
+}
+
+/**
+ * 請求の状態を判定
+ * @param {Object} cfg - カードの請求設定
+ * @param {string} mk - 引落月
+ * @returns {{key: string, label: string, payDate: Date}} 状態（paid: 引落済 / fixed: 締め済 / open: 利用中）
+ */
+function billingStatus(cfg, mk) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const payDate = dayOfMonth(mk, cfg.pay);
+  if (payDate < today) return { key: 'paid', label: '引落済', payDate };
+  if (dayOfMonth(shiftMonth(mk, -cfg.offset), cfg.close) < today) return { key: 'fixed', label: '確定', payDate };
+  return { key: 'open', label: '利用中', payDate };
+}
+
+/**
+ * 請求予定ビューを描画（選択月の前月から BILLING_MONTHS ヶ月分の引落）
+ */
+async function renderBilling() {
+  const tbl = document.getElementById('billingTable');
+  const info = document.getElementById('billingBankInfo');
+  if (!tbl || !info) return;
+  renderCardBillingCfg();
+
+  const cards = Object.keys(CARD_BILLING).sort();
+  if (!cards.length) {
+    tbl.innerHTML = '';
+    info.innerHTML = '<p style="color:var(--t3);font-size:11px;padding:8px 0">下の「カードの設定」でカードとして扱う金融機関を選ぶと表示されます</p>';
+    return;
+  }
+  const base = selectedMonth || currentPeriod();
+  const months = Array.from({ length: BILLING_MONTHS }, (_, i) => shiftMonth(base, i - 1));
+  const stmts = await billingStatements(months);
+
+  // 引落口座ごとにまとめて表示
+  const banks = {};
+  cards.forEach(c => {
+    const bank = CARD_BILLING[c].bank || '引落口座未設定';
+    (banks[bank] = banks[bank] || []).push(c);
+  });
+
+  let h = `<thead><tr><th>カード</th><th>締め / 引落</th>${months.map(mk => `<th>${parseInt(mk.split('/')[1], 10)}月引落</th>`).join('')}</tr></thead><tbody>`;
+  const dayLabel = d => d ? `${d}日` : '月末';
+  const pending = {};
+  Object.entries(banks).forEach(([bank, list]) => {
+    list.forEach(card => {
+      const cfg = CARD_BILLING[card];
+      const ec = escapeHtml(card);
+      h += `<tr><td title="${ec}">${ec}</td><td>${dayLabel(cfg.close)}締 / ${cfg.offset === 2 ? '翌々月' : '翌月'}${dayLabel(cfg.pay)}</td>`;
+      months.forEach(mk => {
+        const st = stmts[card][mk];
+        const s = billingStatus(cfg, mk);
+        if (s.key !== 'paid') pending[bank] = (pending[bank] || 0) + st.amount;
+        h += `<td class="bill-${s.key}" onclick="showBillingDetail('${ec}','${mk}')" title="${s.payDate.getMonth() + 1}/${s.payDate.getDate()} 引落（${s.label}）">${F(st.amount)}<span class="bill-st">${s.label}</span></td>`;
+      });
+      h += '</tr>';
+    });
+    h += `<tr class="tc"><td>${escapeHtml(bank)} 計</td><td></td>${months.map(mk => `<td>${F(list.reduce((s, c) => s + stmts[c][mk].amount, 0))}</td>`).join('')}</tr>`;
+  });
+  tbl.innerHTML = h + '</tbody>';
+
+  // 引落口座の残高（資産推移の最新月末残高）と未引落の合計
+  const last = allMonths[allMonths.length - 1];
+  const bals = last ? accountBalances(last) : {};
+  info.innerHTML = Object.keys(banks).map(bank => {
+    // 開始残高も残高の記録もない口座は ¥0 から積み上げた仮の残高になるため比較しない
+    const known = ACCOUNTS[bank] || Object.keys(BALANCE_SNAPSHOTS).some(m => m <= last && (BALANCE_SNAPSHOTS[m] || {})[bank] !== undefined);
+    const b = known && bals[bank] && bals[bank][last];
+    const need = pending[bank] || 0;
+    const short = b && b.balance < need;
+    return `<div class="bill-bank"><span class="bill-bank-n">${escapeHtml(bank)}</span>
+      <span>未引落 <b>${FY(need)}</b></span>
+      <span>残高（${last}末） <b>${b ? FY(b.balance) : '—'}</b></span>
+      ${b ? `<span style="color:${short ? 'var(--rd)' : 'var(--gn)'}">${short ? `⚠️ ${FY(need - b.balance)} 不足` : '✓ 残高で足ります'}</span>` : '<span style="color:var(--t3)">資産推移で開始残高を設定するか残高を記録すると残高と比較します</span>'}</div>`;
+  }).join('');
+}
+
+/**
+ * カードの請求設定表を描画（取引のある金融機関と設定済みのカード）
+ */
+function renderCardBillingCfg() {
+  const el = document.getElementById('billingCfg');
+  if (!el) return;
+  const accs = new Set(Object.keys(CARD_BILLING));
+  allMonths.forEach(m => Object.keys(monthSummaries[m].accountFlows || {}).forEach(a => accs.add(a)));
+  const banks = [...accs].filter(a => !CARD_BILLING[a]).sort();
+
+  const dayOpts = v => ['<option value="0">月末</option>', ...Array.from({ length: 28 }, (_, i) => `<option value="${i + 1}"${v === i + 1 ? ' selected' : ''}>${i + 1}日</option>`)].join('');
+  let h = '<thead><tr><th>金融機関</th><th>カード</th><th>締め日</th><th>引落月</th><th>引落日</th><th>引落口座</th></tr></thead><tbody>';
+  [...accs].sort().forEach(a => {
+    const ea = escapeHtml(a);
+    const cfg = CARD_BILLING[a];
+    h += `<tr><td title="${ea}">${ea}</td><td><input type="checkbox"${cfg ? ' checked' : ''} onchange="setCardBilling('${ea}','card',this.checked)"></td>`;
+    if (!cfg) {
+      h += '<td></td><td></td><td></td><td></td></tr>';
+      return;
+    }
+    h += `<td><select class="bill-sel" onchange="setCardBilling('${ea}','close',this.value)">${dayOpts(cfg.close)}</select></td>
+      <td><select class="bill-sel" onchange="setCardBilling('${ea}','offset',this.value)"><option value="1">翌月</option><option value="2"${cfg.offset === 2 ? ' selected' : ''}>翌々月</option></select></td>
+      <td><select class="bill-sel" onchange="setCardBilling('${ea}','pay',this.value)">${dayOpts(cfg.pay)}</select></td>
+      <td><select class="bill-sel" onchange="setCardBilling('${ea}','bank',this.value)"><option value="">未設定</option>${banks.map(b => `<option value="${escapeHtml(b)}"${cfg.bank === b ? ' selected' : ''}>${escapeHtml(b)}</option>`).join('')}</select></td></tr>`;
+  });
+  el.innerHTML = h + '</tbody>';
+}
+
+/**
+ * カードの請求明細モーダルを表示
+ * @param {string} card - 金融機関（カード）
+ * @param {string} mk - 引落月
+ */
+async function showBillingDetail(card, mk) {
+  const cfg = CARD_BILLING[card];
+  const txns = (await billingStatements([mk]))[card][mk].txns;
+  const s = billingStatus(cfg, mk);
+  document.getElementById('modalTitle').textContent = `${card} — ${s.payDate.getMonth() + 1}/${s.payDate.getDate()} 引落分（${s.label}）`;
+  modalTxns = [];
+  modalReturn = () => showBillingDetail(card, mk);
+  txnFormPreset = { kind: 'expense', account: card };
+
+  if (!txns.length) {
+    document.getElementById('modalBody').innerHTML = detailEmpty();
+    document.getElementById('modalBg').classList.add('show');
+    return;
+  }
+
+  const total = txns.reduce((s, t) => s - t.amount, 0);
+  let h = `<div class="detail-row header"><span>利用日</span><span>内容</span><span style="text-align:right">金額</span><span>カテゴリ</span></div>`;
+  txns.sort((a, b) => a.date.localeCompare(b.date)).forEach(t => {
+    h += `${detailRowOpen(t)}<span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${refundBadge(t)}${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:${t.amount > 0 ? 'var(--cn)' : 'var(--rd)'}">${F(-t.amount)}</span><span class="acct">${escapeHtml(catLabel(t.category))}</span></div>`;
+  });
+  h += `<div class="detail-total"><span>${txns.length}件</span><span style="color:var(--rd)">${FY(total)}</span></div>`;
+  h += detailAddButton();
+
+  document.getElementById('modalBody').innerHTML = h;
+  document.getElementById('modalBg').classList.add('show');
+}
+
+// ========================================
+// 定期支払い（サブスクリプション検出）
+// ========================================
+
+/** 定期支払いの検出結果（loadAllMonths で破棄） */
+let recurringCache = null;
+
+/** 定期支払いの周期（min / max: 支払い間隔の中央値の日数、grace: 停止とみなすまでの猶予日数） */
+const RECURRING_CADENCES = {
+  monthly: { label: '毎月', months: 1, min: 25, max: 35, grace: 10 },
+  annual: { label: '毎年', months: 12, min: 330, max: 400, grace: 30 }
+};
+
+/**
+ * 旧形式の定期支払いのキー（数字・記号・空白を除いた取引内容）を作成
+ * 登録の店舗名への移行（recurringMarksFrom）にだけ使う
+ * @param {string} content - 取引内容
+ * @returns {string} キー
+ */
+function legacyRecurringKey(content) {
+  const s = String(content || '').normalize('NFKC').toLowerCase();
+  return s.replace(/[\d\s\-_.,:;\/#*()\[\]（）【】「」]+/g, '') || s;
+}
+
+/**
+ * 金額が定期支払いの金額に近いか（同じ店での単発の買い物と区別する）
+ * @param {number} amount - 金額（円、正の値）
+ * @param {number} ref - 基準の金額（円、正の値）
+ * @returns {boolean} 基準の±30%（最低 ±100円）以内か
+ */
+function nearRecurringAmount(amount, ref) {
+  return Math.abs(amount - ref) <= Math.max(ref * 0.3, 100);
+}
+
+/**
+ * 取引が固定費として扱う定期支払いか（登録した店舗名に一致し、金額が登録時の金額に近い）
+ * @param {Object} t - 取引明細
+ * @returns {boolean} 定期支払いか
+ */
+function isRecurringCharge(t) {
+  const key = merchantOf(t.content);
+  if (!RECURRING_MARKS.has(key)) return false;
+  const ref = RECURRING_MARKS.get(key);
+  return ref === null || nearRecurringAmount(Math.abs(t.amount), ref);
+}
+
+/**
+ * 定期支払いの登録を config の値から復元
+ * 旧形式（キーの文字列・{key, amount}）は保存済みの取引から該当する店舗名を探して移行
+ * @param {Array<{merchant: string, amount: number}|{key: string, amount: number}|string>} value - 保存値
+ * @returns {Promise<Map<string, number|null>>} 店舗名 → 登録時の金額
+ */
+async function recurringMarksFrom(value) {
+  const marks = new Map(), legacy = new Map();
+  const amountOf = v => typeof v.amount === 'number' && v.amount > 0 ? v.amount : null;
+  (Array.isArray(value) ? value : []).forEach(v => {
+    if (typeof v === 'string' && v.length <= 100) legacy.set(v, null);
+    else if (v && typeof v.merchant === 'string' && v.merchant.length <= 100) marks.set(v.merchant, amountOf(v));
+    else if (v && typeof v.key === 'string' && v.key.length <= 100) legacy.set(v.key, amountOf(v));
+  });
+  if (legacy.size) {
+    (await dbGetAll('transactions')).forEach(t => {
+      const k = legacyRecurringKey(t.content);
+      if (legacy.has(k) && !marks.has(merchantOf(t.content))) marks.set(merchantOf(t.content), legacy.get(k));
+    });
+  }
+  return marks;
+}
+
+/**
+ * 定期支払いの登録を config に保存する形式に変換
+ * @returns {Array<{merchant: string, amount: number|null}>} 保存値
+ */
+function recurringMarksValue() {
+  return [...RECURRING_MARKS].map(([merchant, amount]) => ({ merchant, amount }));
+}
+
+/**
+ * 定期支払いの登録を保存
+ */
+async function saveRecurringMarks() {
+  await dbPut('config', { key: 'recurring', value: recurringMarksValue() });
+}
+
+/**
+ * 費目の固定費部分を取得（固定費の費目は全額、それ以外は定期支払いとして固定費扱いにした分）
+ * @param {Object} d - 月次サマリー
+ * @param {string} k - 大項目
+ * @returns {number} 固定費の金額
+ */
+function fixedPart(d, k) {
+  if (FIXED_CATS.has(k)) return (d.expenses || {})[k] || 0;
+  return (d.recurringExpenses || {})[k] || 0;
+}
+
+/**
+ * 月の固定費合計を取得（固定費の費目＋固定費扱いの定期支払い）
+ * @param {Object} d - 月次サマリー
+ * @returns {number} 固定費合計
+ */
+function fixedTotal(d) {
+  return Object.keys(d.expenses || {}).reduce((s, k) => s + fixedPart(d, k), 0);
+}
+
+/**
+ * 日付に月数を加算
+ * @param {string} date - "YYYY/MM/DD"
+ * @param {number} months - 加算する月数
+ * @returns {Date} 日付（月の日数を超える日は月末）
+ */
+function addMonthsToDate(date, months) {
+  const [y, m, d] = date.split('/').map(Number);
+  const last = new Date(y, m - 1 + months + 1, 0).getDate();
+  return new Date(y, m - 1 + months, Math.min(d, last));
+}
+
+/**
+ * 保存済みの全取引から定期支払いを検出
+ * 同じ店舗（merchantOf で名寄せ後）で金額が近い支出が、毎月（3回以上）または毎年（2回以上）の間隔で続くものを抽出。
+ * 定期支払いとして登録済みのものは間隔に関係なく含める
+ * @returns {Promise<Array<Object>>} 定期支払い（年額の大きい順）
+ */
+async function detectRecurring() {
+  if (recurringCache) return recurringCache;
+  const txns = await dbGetAll('transactions');
+  const groups = {};
+  txns.forEach(t => {
+    if (t.amount >= 0 || ['income', 'points', 'transfer'].includes(t.category)) return;
+    const key = merchantOf(t.content);
+    (groups[key] = groups[key] || []).push(t);
+  });
+
+  const today = new Date();
+  const res = [];
+  Object.entries(groups).forEach(([key, list]) => {
+    const marked = RECURRING_MARKS.has(key);
+    if (list.length < 2 && !marked) return;
+    list.sort((a, b) => a.date.localeCompare(b.date));
+
+    // 最新の金額から大きく外れる取引（同じ店での単発の買い物など）は除外
+    const last = list[list.length - 1];
+    const charges = list.filter(t => nearRecurringAmount(-t.amount, -last.amount));
+    const gaps = charges.slice(1).map((t, i) => Math.round((new Date(t.date) - new Date(charges[i].date)) / 86400000));
+    const med = gaps.length ? quantile([...gaps].sort((a, b) => a - b), 0.5) : 0;
+
+    let cadence = Object.keys(RECURRING_CADENCES).find(c => {
+      const rc = RECURRING_CADENCES[c];
+      const regular = gaps.filter(g => g >= rc.min * 0.8 && g <= rc.max * 1.2).length;
+      return med >= rc.min && med <= rc.max && regular >= gaps.length * 2 / 3 && charges.length >= (c === 'monthly' ? 3 : 2);
+    });
+    if (!cadence) {
+      if (!marked) return;
+      cadence = med > 60 ? 'annual' : 'monthly';
+    }
+
+    const rc = RECURRING_CADENCES[cadence];
+    const amount = -last.amount;
+    // 直近3回以内に金額が変わっていれば変更前の金額を記録（値上げ・値下げの表示用）
+    const changed = charges.slice(-4, -1).reverse().find(t => t.amount !== last.amount);
+    const prev = changed ? -changed.amount : amount;
+    const next = addMonthsToDate(last.date, rc.months);
+    res.push({
+      key, marked, cadence, amount, prev, next,
+      stale: new Date(next.getTime() + rc.grace * 86400000) < today,
+      content: last.content, category: last.category, account: last.account, lastDate: last.date,
+      annual: amount * 12 / rc.months,
+      txns: charges
+    });
+  });
+
+  recurringCache = res.sort((a, b) => b.annual - a.annual);
+  return recurringCache;
+}
+
+/**
+ * 定期支払いとしての登録を切り替え（登録した支払いは費目に関係なく固定費として集計）
+ * @param {number} idx - detectRecurring() の結果内のインデックス
+ */
+async function toggleRecurring(idx) {
+  const r = (await detectRecurring())[idx];
+  if (!r) return;
+  const key = r.key;
+  if (RECURRING_MARKS.has(key)) RECURRING_MARKS.delete(key);
+  else RECURRING_MARKS.set(key, r.amount);
+  await saveRecurringMarks();
+
+  // キーが一致する取引のある月のサマリーを再計算（金額の離れた取引も以前の登録で集計されている場合がある）
+  const txns = await dbGetAll('transactions');
+  await rebuildMonths([...new Set(txns.filter(t => merchantOf(t.content) === key).map(t => t.month))]);
+  await loadAllMonths();
+  renderAll();
+}
+
+/**
+ * 定期支払いパネルを描画
+ */
+async function renderRecurring() {
+  const tbl = document.getElementById('recurringTable');
+  const info = document.getElementById('recurringInfo');
+  if (!tbl || !info) return;
+  const list = await detectRecurring();
+  if (!list.length) {
+    tbl.innerHTML = '';
+    info.textContent = '定期支払いは見つかりませんでした';
+    return;
+  }
+
+  const ymd = dt => `${dt.getFullYear()}/${dt.getMonth() + 1}/${dt.getDate()}`;
+  let h = '<thead><tr><th title="チェックすると費目に関係なく固定費として集計">固定費</th><th>内容</th><th>大項目</th><th>周期</th><th>金額</th><th>最終</th><th>次回予定</th><th>年額</th></tr></thead><tbody>';
+  list.forEach((r, i) => {
+    const up = r.amount > r.prev;
+    const flags = (r.amount !== r.prev ? `<span class="bdg ${up ? 'bdg-over' : 'bdg-warn'}" title="前回 ${F(r.prev)}">${up ? '値上げ' : '値下げ'}</span>` : '')
+      + (r.stale ? '<span class="bdg rec-stale" title="次回予定日を過ぎても支払いがありません">停止?</span>' : '');
+    h += `<tr${r.stale ? ' class="rec-off"' : ''}>
+      <td><input type="checkbox"${r.marked ? ' checked' : ''} onchange="toggleRecurring(${i})"></td>
+      <td class="rec-n" onclick="showRecurringDetail(${i})" title="${escapeHtml(r.content)}（${escapeHtml(r.account)}）">${escapeHtml(r.content)} 🔍${flags}</td>
+      <td>${escapeHtml(catLabel(r.category))}</td>
+      <td>${RECURRING_CADENCES[r.cadence].label}</td>
+      <td>${F(r.amount)}</td>
+      <td>${r.lastDate}</td>
+      <td>${r.stale ? '—' : ymd(r.next)}</td>
+      <td>${F(r.annual)}</td></tr>`;
+  });
+  tbl.innerHTML = h + '</tbody>';
+
+  const active = list.filter(r => !r.stale);
+  info.innerHTML = `${active.length}件 / 年額合計 <b>${FY(active.reduce((s, r) => s + r.annual, 0))}</b>（停止?を除く）`;
+}
+
+/**
+ * 定期支払いの支払い履歴をモーダルで表示
+ * @param {number} idx - detectRecurring() の結果内のインデックス
+ */
+async function showRecurringDetail(idx) {
+  const r = (await detectRecurring())[idx];
+  if (!r) return;
+  document.getElementById('modalTitle').textContent = `${r.content} — 支払い履歴`;
+  modalTxns = [];
+  // 取引の編集後は検出結果が作り直されるため、キーで探し直して戻る
+  modalReturn = async () => {
+    const i = (await detectRecurring()).findIndex(x => x.key === r.key);
+    if (i !== -1) showRecurringDetail(i);
+    else closeModal();
+  };
+  txnFormPreset = { kind: 'expense', category: r.category, account: r.account };
+
+  let h = `<div class="detail-row header"><span>日付</span><span>内容</span><span style="text-align:right">金額</span><span>金融機関</span></div>`;
+  [...r.txns].reverse().forEach(t => {
+    h += `${detailRowOpen(t)}<span>${escapeHtml(t.date)}</span><span>${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:var(--rd)">${F(-t.amount)}</span><span class="acct">${escapeHtml(t.account)}</span></div>`;
+  });
+  h += `<div class="detail-total"><span>${r.txns.length}件</span><span style="color:var(--rd)">${FY(r.txns.reduce((s, t) => s - t.amount, 0))}</span></div>`;
+
+  document.getElementById('modalBody').innerHTML = h;
+  document.getElementById('modalBg').classList.add('show');
+}
+
+// ========================================
+// 異常検知（気になる支出）
+// ========================================
+
+/** 月ごとの検出結果（loadAllMonths で破棄） */
+let anomalyCache = {};
+
+/** しきい値の選択肢 */
+const ANOMALY_OPTIONS = {
+  months: [3, 6, 12],
+  catRatio: [1.5, 2, 2.5, 3],
+  txnMin: [5000, 10000, 20000, 30000, 50000],
+  txnRatio: [3, 5, 10]
+};
+
+/**
+ * 異常検知のしきい値の初期値
+ * months: 比較する過去の月数 / catRatio: 費目の月合計が平均の何倍で通知するか /
+ * txnMin: 取引を調べる最低金額 / txnRatio: 1件の金額が費目の中央値の何倍で通知するか
+ * @returns {Object} しきい値
+ */
+function defaultAnomalyThresholds() {
+  return { months: 6, catRatio: 2, txnMin: 10000, txnRatio: 5 };
+}
+
+/**
+ * 異常検知のしきい値を設定
+ * @param {string} key - しきい値名
+ * @param {string} value - 選択値
+ */
+async function setAnomalyThreshold(key, value) {
+  ANOMALY_THRESHOLDS = { ...ANOMALY_THRESHOLDS, [key]: Number(value) };
+  anomalyCache = {};
+  await dbPut('config', { key: 'anomalyThresholds', value: ANOMALY_THRESHOLDS });
+  renderAll();
+}
+
+/**
+ * 月の気になる支出を検出
+ * - 費目：月合計が過去 months ヶ月（データのある3ヶ月以上）の平均の catRatio 倍以上
+ * - 取引：txnMin 以上の支出で、過去 months ヶ月に同じ店舗（名寄せ後）の取引がない、または費目の1件あたり中央値の txnRatio 倍以上
+ * @param {string} mk - 月キー
+ * @returns {Promise<Array<{id: string, kind: string, cat: string, month: string, text: string, score: number}>>} 検出結果（非表示にしたものを含む）
+ */
+async function detectAnomalies(mk) {
+  if (anomalyCache[mk]) return anomalyCache[mk];
+  const d = monthSummaries[mk];
+  const th = ANOMALY_THRESHOLDS;
+  const base = Array.from({ length: th.months }, (_, i) => shiftMonth(mk, -i - 1)).filter(m => monthSummaries[m]);
+  const res = [];
+  if (!d || base.length < 3) return (anomalyCache[mk] = res);
+
+  // 費目の月合計と過去平均の比較
+  Object.entries(d.expenses || {}).forEach(([k, v]) => {
+    const avg = base.reduce((s, m) => s + ((monthSummaries[m].expenses || {})[k] || 0), 0) / base.length;
+    if (v < 1000 || v < avg * th.catRatio) return;
+    const ratio = avg > 0 ? v / avg : Infinity;
+    res.push({
+      id: `cat|${mk}|${k}`, kind: 'cat', cat: k, month: mk, score: ratio,
+      text: avg > 0 ? `${k}が過去${base.length}ヶ月平均の${ratio.toFixed(1)}倍（${FY(v)} / 平均 ${FY(Math.round(avg))}）` : `${k}の支出 ${FY(v)}（過去${base.length}ヶ月は支出なし）`
+    });
+  });
+
+  // 1件ごとの金額と過去の取引の比較
+  const isExpense = t => t.amount < 0 && !['income', 'points', 'transfer'].includes(t.category);
+  const txns = (await dbGetByIndex('transactions', 'month', mk)).filter(isExpense);
+  if (txns.some(t => -t.amount >= th.txnMin)) {
+    const past = (await Promise.all(base.map(m => dbGetByIndex('transactions', 'month', m)))).flat().filter(isExpense);
+    const seen = new Set(past.map(t => merchantOf(t.content)));
+    const byCat = {};
+    past.forEach(t => (byCat[t.category] = byCat[t.category] || []).push(-t.amount));
+    txns.filter(t => -t.amount >= th.txnMin).forEach(t => {
+      const amt = -t.amount;
+      const amounts = (byCat[t.category] || []).sort((a, b) => a - b);
+      const med = amounts.length >= 5 ? quantile(amounts, 0.5) : 0;
+      const id = `txn|${txnFingerprint(t)}`;
+      const where = `${t.date.replace(/^\d{4}\//, '')} ${t.content}`;
+      if (!seen.has(merchantOf(t.content))) {
+        res.push({ id, kind: 'txn', cat: t.category, month: mk, score: amt / th.txnMin, text: `過去${base.length}ヶ月で初めての支払い先で ${FY(amt)}（${where}）` });
+      } else if (med && amt >= med * th.txnRatio) {
+        res.push({ id, kind: 'txn', cat: t.category, month: mk, score: amt / med, text: `${t.category}の1件あたり中央値の${(amt / med).toFixed(1)}倍 ${FY(amt)}（${where}）` });
+      }
+    });
+  }
+
+  return (anomalyCache[mk] = res.sort((a, b) => b.score - a.score));
+}
+
+/**
+ * 非表示にしていない検出結果を取得
+ * @param {string} mk - 月キー
+ * @returns {Promise<Array>} 検出結果
+ */
+async function activeAnomalies(mk) {
+  return (await detectAnomalies(mk)).filter(a => !ANOMALY_DISMISSED.has(a.id));
+}
+
+/**
+ * 検出結果を非表示にする（config に保存）
+ * @param {string} id - 検出結果のID
+ */
+async function dismissAnomaly(id) {
+  ANOMALY_DISMISSED.add(id);
+  await dbPut('config', { key: 'anomalyDismissed', value: [...ANOMALY_DISMISSED] });
+  renderInsights();
+}
+
+/**
+ * 非表示にした検出結果をすべて元に戻す
+ */
+async function resetAnomalyDismissed() {
+  ANOMALY_DISMISSED = new Set();
+  await dbPut('config', { key: 'anomalyDismissed', value: [] });
+  renderAll();
+}
+
+/**
+ * ダッシュボードの「気になる支出」カードを描画（検出結果がなければ非表示）
+ */
+async function renderInsights() {
+  const el = document.getElementById('insightPanel');
+  if (!el) return;
+  const mk = selectedMonth;
+  const list = mk ? await activeAnomalies(mk) : [];
+  if (mk !== selectedMonth) return;
+  el.style.display = list.length ? '' : 'none';
+  document.getElementById('insightList').innerHTML = list.map(a => {
+    // IDには取引内容が含まれることがあるため、JSの文字列にせず data 属性で渡す
+    return `<div class="ins-row" data-id="${escapeHtml(a.id)}"><span class="ins-tx" onclick="showDetail('${escapeHtml(a.cat)}',undefined,'${a.month}')" title="クリックで明細">${a.kind === 'cat' ? '📈' : '💸'} ${escapeHtml(a.text)}</span><span class="ins-x" onclick="dismissAnomaly(this.parentNode.dataset.id)" title="この通知を非表示">×</span></div>`;
+  }).join('');
+}
+
+/**
+ * 取り込んだ月の検出結果をトースト用の文にまとめる
+ * @param {string[]} months - 取り込んだ月キー
+ * @returns {Promise<string>} 文（検出なしなら空文字）
+ */
+async function anomalySummary(months) {
+  const list = (await Promise.all(months.map(activeAnomalies))).flat();
+  if (!list.length) return '';
+  return ` ⚠️ 気になる支出${list.length}件（${list[0].text}${list.length > 1 ? ' ほか' : ''}）`;
+}
+
+// ========================================
+// 店舗（支払い先の名寄せ・ランキング）
+// ========================================
+
+/** 店舗名の末尾から除く語（日付・利用月・ドメイン・法人格・支店名など） */
+const MERCHANT_SUFFIXES = [
+  /\s+\d{2,4}[\/.\-]\d{1,2}([\/.\-]\d{1,2})?$/,
+  /\s+(\d{2,4}年)?\d{1,2}月(\d{1,2}日)?(利用|請求)?分?$/,
+  /\.(CO\.JP|COM|JP|NET)\b.*$/,
+  /\s+(DOWNLOADS?|DIGITAL|MARKETPLACE|JAPAN|INC|LTD|CORP)\.?$/,
+  /\s*(株式会社|有限会社|\(株\)|\(有\))\s*/g,
+  /\s*[#＃]?\d+号?店?$/,
+  /\s+\S+(店|支店|営業所)$/,
+  /[\s\-*]+$/
+];
+
+/** 名寄せ結果のキャッシュ（別名の変更で破棄） */
+let merchantCache = new Map();
+
+/** 店舗ランキングの対象（month: 選択月 / range: 12ヶ月） */
+let merchantRange = 'month';
+
+/** 店舗ランキングの並び順（amount: 金額 / count: 回数） */
+let merchantSort = 'amount';
+
+/** 店舗ランキングの表示件数 */
+const MERCHANT_RANK_LIMIT = 15;
+
+/**
+ * 店舗の別名の初期値
+ * @returns {Array<{pattern: string, name: string}>} 別名（正規化後の内容に pattern を含めば name にまとめる）
+ */
+function defaultMerchantAliases() {
+  return [
+    { pattern: 'AMAZON', name: 'Amazon' },
+    { pattern: 'アマゾン', name: 'Amazon' },
+    { pattern: 'セブン-イレブン', name: 'セブン-イレブン' },
+    { pattern: 'セブンイレブン', name: 'セブン-イレブン' },
+    { pattern: 'ファミリーマート', name: 'ファミリーマート' },
+    { pattern: 'ファミマ', name: 'ファミリーマート' }
+  ];
+}
+
+/**
+ * 取引内容を正規化（全角英数・半角カナを統一、英字は大文字、末尾の支店名などを除去）
+ * @param {string} content - 取引内容
+ * @returns {string} 正規化した店舗名
+ */
+function normalizeMerchant(content) {
+  const raw = String(content || '').normalize('NFKC').toUpperCase().replace(/\s+/g, ' ').trim();
+  const s = MERCHANT_SUFFIXES.reduce((v, re) => v.replace(re, ''), raw).trim();
+  return s || raw;
+}
+
+/**
+ * 取引内容から店舗名を取得（別名に一致すればその名前）
+ * @param {string} content - 取引内容
+ * @returns {string} 店舗名
+ */
+function merchantOf(content) {
+  if (merchantCache.has(content)) return merchantCache.get(content);
+  const key = normalizeMerchant(content);
+  const alias = MERCHANT_ALIASES.find(a => a.pattern && key.includes(normalizeMerchant(a.pattern)));
+  const name = alias ? alias.name : key;
+  merchantCache.set(content, name);
+  return name;
+}
+
+/**
+ * 店舗の別名を保存してキャッシュを破棄
+ */
+async function saveMerchantAliases() {
+  merchantCache = new Map();
+  anomalyCache = {};
+  recurringCache = null;
+  await dbPut('config', { key: 'merchantAliases', value: MERCHANT_ALIASES });
+}
+
+/**
+ * 別名の変更を定期支払いの固定費集計に反映（登録がある場合のみ全月を再集計）
+ */
+async function refreshRecurringAfterAliasChange() {
+  if (!RECURRING_MARKS.size) return;
+  await rebuildMonths([...allMonths]);
+  await loadAllMonths();
+  renderAll();
+}
+
+/**
+ * 店舗の別名を追加
+ */
+function addMerchantAlias() {
+  MERCHANT_ALIASES.push({ pattern: '', name: '' });
+  saveMerchantAliases();
+  renderMerchantAliases();
+}
+
+/**
+ * 店舗の別名の項目を更新
+ * @param {number} i - 別名のインデックス
+ * @param {string} key - "pattern" or "name"
+ * @param {string} value - 入力値
+ */
+function updateMerchantAlias(i, key, value) {
+  if (!MERCHANT_ALIASES[i]) return;
+  MERCHANT_ALIASES[i][key] = value.trim();
+  saveMerchantAliases();
+  renderMerchantAliases();
+  refreshRecurringAfterAliasChange();
+}
+
+/**
+ * 店舗の別名を削除
+ * @param {number} i - 別名のインデックス
+ */
+function removeMerchantAlias(i) {
+  MERCHANT_ALIASES.splice(i, 1);
+  saveMerchantAliases();
+  renderMerchantAliases();
+  refreshRecurringAfterAliasChange();
+}
+
+/**
+ * 店舗の別名を初期設定に戻す
+ */
+function resetMerchantAliases() {
+  if (!confirm('店舗の別名を初期設定に戻しますか？')) return;
+  MERCHANT_ALIASES = defaultMerchantAliases();
+  saveMerchantAliases();
+  renderMerchantAliases();
+  refreshRecurringAfterAliasChange();
+}
+
+/**
+ * 店舗の別名の設定欄を描画
+ */
+function renderMerchantAliases() {
+  const el = document.getElementById('merchantCfg');
+  if (!el) return;
+
+  const inp = (i, key, v, ph) => `<input class="rule-in" type="text" value="${escapeHtml(String(v || ''))}" placeholder="${ph}" onchange="updateMerchantAlias(${i},'${key}',this.value)">`;
+  let h = '<p class="set-hint" style="margin:0 0 6px">取引内容は全角・半角、大文字・小文字、末尾の支店名やドメインをそろえて店舗名にします。さらに下の語を含む店舗は指定した名前にまとめます（上から順に判定）。</p>';
+  MERCHANT_ALIASES.forEach((a, i) => {
+    h += `<div class="rule-rw">
+      <span class="rule-no">${i + 1}</span>
+      ${inp(i, 'pattern', a.pattern, '含む語（例: AMAZON）')}
+      <span class="rule-sep">→</span>
+      ${inp(i, 'name', a.name, '店舗名')}
+      <span class="rule-ops"><button class="rule-btn del" onclick="removeMerchantAlias(${i})" title="削除">✕</button></span>
+    </div>`;
+  });
+  h += `<div class="rule-actions">
+    <button class="sb-btn" onclick="addMerchantAlias()">＋ 別名を追加</button>
+    <button class="sb-btn" onclick="resetMerchantAliases()">↩ 初期設定に戻す</button>
+  </div>`;
+  el.innerHTML = h;
+}
+
+/**
+ * 店舗ランキングの対象期間を切り替え
+ * @param {string} range - "month" or "range"
+ */
+function setMerchantRange(range) {
+  merchantRange = range;
+  renderMerchantRanking();
+}
+
+/**
+ * 店舗ランキングの並び順を切り替え
+ * @param {string} key - "amount" or "count"
+ */
+function setMerchantSort(key) {
+  merchantSort = key;
+  renderMerchantRanking();
+}
+
+/**
+ * 店舗ランキングを描画（支出の合計・回数の多い店舗）
+ */
+async function renderMerchantRanking() {
+  const ctrl = document.getElementById('merchantCtrl');
+  const tbl = document.getElementById('merchantTable');
+  if (!ctrl || !tbl) return;
+
+  const btn = (fn, key, cur, label) => `<button class="trend-period-btn${key === cur ? ' active' : ''}" onclick="${fn}('${key}')">${label}</button>`;
+  ctrl.innerHTML = btn('setMerchantRange', 'month', merchantRange, '選択月')
+    + btn('setMerchantRange', 'range', merchantRange, '12ヶ月')
+    + btn('setMerchantSort', 'amount', merchantSort, '金額順')
+    + btn('setMerchantSort', 'count', merchantSort, '回数順');
+
+  const months = merchantRange === 'month' ? [selectedMonth] : getMonthRange().filter(m => monthSummaries[m]);
+  const txns = (await Promise.all(months.filter(Boolean).map(m => dbGetByIndex('transactions', 'month', m)))).flat();
+
+  // 店舗ごとに支出（返金は差し引き）と回数、最も多い大項目を集計
+  const stats = {};
+  txns.forEach(t => {
+    if (['income', 'points', 'transfer'].includes(t.category)) return;
+    const name = merchantOf(t.content);
+    const st = stats[name] = stats[name] || { name, amount: 0, count: 0, cats: {} };
+    st.amount -= t.amount;
+    if (t.amount < 0) st.count++;
+    st.cats[t.category] = (st.cats[t.category] || 0) - t.amount;
+  });
+  const list = Object.values(stats).filter(st => st.count)
+    .sort((a, b) => merchantSort === 'count' ? b.count - a.count || b.amount - a.amount : b.amount - a.amount)
+    .slice(0, MERCHANT_RANK_LIMIT);
+  if (!list.length) {
+    tbl.innerHTML = '<tbody><tr><td style="color:var(--t3)">データなし</td></tr></tbody>';
+    return;
+  }
+
+  const max = Math.max(...list.map(st => merchantSort === 'count' ? st.count : st.amount), 1);
+  let h = '<thead><tr><th>#</th><th>店舗</th><th>大項目</th><th>金額</th><th>回数</th><th>平均</th></tr></thead><tbody>';
+  list.forEach((st, i) => {
+    const en = escapeHtml(st.name);
+    const cat = Object.entries(st.cats).sort((a, b) => b[1] - a[1])[0][0];
+    const w = Math.max(Math.round((merchantSort === 'count' ? st.count : st.amount) / max * 100), 0);
+    h += `<tr data-merchant="${en}" onclick="showMerchantDetail(this.dataset.merchant)">
+      <td>${i + 1}</td>
+      <td title="${en}"><div class="mc-bar" style="width:${w}%"></div><span class="mc-n">${en}</span></td>
+      <td>${escapeHtml(cat)}</td>
+      <td>${F(st.amount)}</td>
+      <td>${st.count}</td>
+      <td>${F(Math.round(st.amount / st.count))}</td></tr>`;
+  });
+  tbl.innerHTML = h + '</tbody>';
+}
+
+/**
+ * 店舗の全期間の取引をモーダルで表示
+ * @param {string} name - 店舗名
+ */
+async function showMerchantDetail(name) {
+  const txns = (await dbGetAll('transactions')).filter(t => merchantOf(t.content) === name);
+  document.getElementById('modalTitle').textContent = `${name} — 全期間の取引`;
+  modalTxns = [];
+  modalReturn = () => showMerchantDetail(name);
+  txnFormPreset = { kind: 'expense' };
+
+  if (!txns.length) {
+    document.getElementById('modalBody').innerHTML = detailEmpty();
+    document.getElementById('modalBg').classList.add('show');
+    return;
+  }
+
+  const total = txns.reduce((s, t) => s - t.amount, 0);
+  let h = `<div class="detail-row header"><span>日付</span><span>内容</span><span style="text-align:right">金額</span><span>カテゴリ</span></div>`;
+  txns.sort((a, b) => b.date.localeCompare(a.date)).forEach(t => {
+    h += `${detailRowOpen(t)}<span>${escapeHtml(t.date)}</span><span>${refundBadge(t)}${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:${t.amount > 0 ? 'var(--cn)' : 'var(--rd)'}">${F(-t.amount)}</span><span class="acct">${escapeHtml(catLabel(t.category))}</span></div>`;
+  });
+  h += `<div class="detail-total"><span>${txns.length}件</span><span style="color:var(--rd)">${FY(total)}</span></div>`;
+  h += `<div class="detail-add"><button class="tm-btn tm-btn-cancel" data-merchant="${escapeHtml(name)}" onclick="showMerchantInTxnList(this.dataset.merchant)">🧾 取引一覧で表示</button></div>`;
+
+  document.getElementById('modalBody').innerHTML = h;
+  document.getElementById('modalBg').classList.add('show');
+}
+
+/**
+ * 取引一覧を店舗で絞り込んで表示
+ * @param {string} name - 店舗名
+ */
+function showMerchantInTxnList(name) {
+  closeModal();
+  txnFilter.merchant = name;
+  document.querySelector('.nav-i[data-view="txns"]').click();
+}
+
+// ========================================
+// メモ・タグ
+// ========================================
+
+/** 1件の取引に付けられるタグの数 */
+const TAG_MAX = 10;
+
+/** タグの最大文字数 */
+const TAG_LEN = 20;
+
+/** メモの最大文字数 */
+const MEMO_LEN = 200;
+
+/**
+ * タグの入力値を配列に変換（カンマ・読点区切り、重複と空白を除去）
+ * 「旅行: 北海道」のように空白を含むタグも1つのタグとして扱う
+ * @param {string|string[]} v - 入力値またはタグの配列
+ * @returns {string[]} タグ
+ */
+function parseTags(v) {
+  const arr = Array.isArray(v) ? v : String(v || '').split(/[,，、]/);
+  const tags = arr.filter(s => typeof s === 'string').map(s => s.trim().substring(0, TAG_LEN)).filter(Boolean);
+  return [...new Set(tags)].slice(0, TAG_MAX);
+}
+
+/**
+ * 取引のタグ・メモの表示を生成（タグはチップ、メモは📝にツールチップ）
+ * @param {Object} t - 取引明細
+ * @returns {string} HTML（タグ・メモがなければ空文字）
+ */
+function txnNotes(t) {
+  const tags = (t.tags || []).map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('');
+  return tags + (t.memo ? `<span class="memo-ic" title="${escapeHtml(t.memo)}">📝</span>` : '');
+}
+
+/**
+ * 全期間のタグの一覧を取得（月次サマリーの tagExpenses から）
+ * @returns {string[]} タグ
+ */
+function allTags() {
+  return [...new Set(allMonths.flatMap(m => Object.keys(monthSummaries[m].tagExpenses || {})))].sort();
+}
+
+/**
+ * 取引フォームのタグ欄に候補のタグを追加
+ * @param {string} tag - タグ
+ */
+function addTxnFormTag(tag) {
+  const el = document.getElementById('txnTags');
+  el.value = parseTags([...parseTags(el.value), tag]).join(', ');
+}
+
+/**
+ * タグ別集計を描画（12ヶ月の月別支出と期間合計、タグの付いた支出のみ）
+ */
+function renderTagReport() {
+  const tbl = document.getElementById('tagTable');
+  if (!tbl) return;
+  const months = getMonthRange();
+  const val = (tag, mk) => ((monthSummaries[mk] || {}).tagExpenses || {})[tag] || 0;
+  const tags = allTags()
+    .map(tag => ({ tag, total: months.reduce((s, mk) => s + val(tag, mk), 0) }))
+    .filter(r => r.total)
+    .sort((a, b) => b.total - a.total);
+  if (!tags.length) {
+    tbl.innerHTML = '<tbody><tr><td style="color:var(--t3)">期間内にタグの付いた支出はありません（明細の行クリックで取引にタグを付けられます）</td></tr></tbody>';
+    return;
+  }
+
+  let h = `<thead><tr><th>タグ</th>${months.map(mk => `<th>${parseInt(mk.split('/')[1], 10)}月</th>`).join('')}<th>合計</th></tr></thead><tbody>`;
+  tags.forEach(({ tag, total }) => {
+    const et = escapeHtml(tag);
+    h += `<tr data-tag="${et}"><td class="tag-n" onclick="showTagDetail(this.parentNode.dataset.tag)" title="全期間の取引を表示"><span class="tag-chip">${et}</span></td>
+      ${months.map(mk => {
+        const v = val(tag, mk);
+        return v ? `<td onclick="showTagDetail(this.parentNode.dataset.tag,'${mk}')">${F(v)}</td>` : '<td style="color:var(--t3)">—</td>';
+      }).join('')}
+      <td><b>${F(total)}</b></td></tr>`;
+  });
+  tbl.innerHTML = h + '</tbody>';
+}
+
+/**
+ * タグの付いた取引をモーダルで表示
+ * @param {string} tag - タグ
+ * @param {string} [mk] - 月キー（省略時は全期間）
+ */
+async function showTagDetail(tag, mk) {
+  const src = mk ? await dbGetByIndex('transactions', 'month', mk) : await dbGetAll('transactions');
+  const txns = src.filter(t => (t.tags || []).includes(tag));
+  document.getElementById('modalTitle').textContent = `🏷 ${tag} — ${mk || '全期間'} の取引`;
+  modalTxns = [];
+  modalReturn = () => showTagDetail(tag, mk);
+  txnFormPreset = { kind: 'expense', tags: [tag] };
+
+  if (!txns.length) {
+    document.getElementById('modalBody').innerHTML = detailEmpty();
+    document.getElementById('modalBg').classList.add('show');
+    return;
+  }
+
+  // 支出（返金を差し引き）のみ合計し、収入・振替は一覧にだけ表示
+  const spend = txns.filter(t => !['income', 'points', 'transfer'].includes(t.category));
+  let h = `<div class="detail-row header"><span>日付</span><span>内容</span><span style="text-align:right">金額</span><span>カテゴリ</span></div>`;
+  txns.sort((a, b) => a.date.localeCompare(b.date)).forEach(t => {
+    const color = t.category === 'transfer' ? 'var(--bl)' : t.category === 'income' || t.category === 'points' ? 'var(--gn)' : t.amount > 0 ? 'var(--cn)' : 'var(--rd)';
+    h += `${detailRowOpen(t)}<span>${escapeHtml(t.date)}</span><span>${refundBadge(t)}${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:${color}">${F(Math.abs(t.amount))}</span><span class="acct">${escapeHtml(catLabel(t.category))}</span></div>`;
+  });
+  h += `<div class="detail-total"><span>${txns.length}件</span><span style="color:var(--rd)">支出 ${FY(spend.reduce((s, t) => s - t.amount, 0))}</span></div>`;
+  h += detailAddButton();
+
+  document.getElementById('modalBody').innerHTML = h;
+  document.getElementById('modalBg').classList.add('show');
+}
+
+// ========================================
+// 世帯メンバー・共有費の精算
+// ========================================
+
+/** Sankeyのメンバーノードのキー接頭辞（金融機関・大項目と名前が重ならないように） */
+const MEMBER_NODE = 'member|||';
+
+/**
+ * 世帯設定を保存
+ */
+async function saveHousehold() {
+  await dbPut('config', { key: 'household', value: HOUSEHOLD });
+}
+
+/**
+ * 世帯メンバーを追加
+ */
+function addMember() {
+  const n = HOUSEHOLD.members.length + 1;
+  HOUSEHOLD.members.push({ name: `メンバー${n}`, share: 50 });
+  saveHousehold();
+  renderAll();
+}
+
+/**
+ * 取引ごとの負担割合（split）のメンバー名を変更・削除
+ * @param {string} from - 変更前のメンバー名
+ * @param {string|null} to - 変更後のメンバー名（null なら削除）
+ */
+async function renameSplitMember(from, to) {
+  const changed = (await dbGetAll('transactions')).filter(t => t.split && typeof t.split === 'object' && t.split[from] !== undefined);
+  changed.forEach(t => {
+    const split = { ...t.split };
+    if (to !== null) split[to] = split[from];
+    delete split[from];
+    if (Object.keys(split).length) t.split = split;
+    else delete t.split;
+  });
+  if (!changed.length) return;
+  await dbBulkPut('transactions', changed);
+  txnListCache = { key: null, txns: [] };
+}
+
+/**
+ * 大項目の負担割合（sharedCats）のメンバー名を変更・削除
+ * @param {string} from - 変更前のメンバー名
+ * @param {string|null} to - 変更後のメンバー名（null なら削除）
+ */
+function renameSharedCatMember(from, to) {
+  Object.entries(HOUSEHOLD.sharedCats).forEach(([c, r]) => {
+    if (!r || r[from] === undefined) return;
+    if (to !== null) r[to] = r[from];
+    delete r[from];
+    if (!Object.keys(r).length) HOUSEHOLD.sharedCats[c] = null;
+  });
+}
+
+/**
+ * 世帯メンバーの名前・既定の負担割合を変更（名前の変更は金融機関・大項目・取引ごとの割合の設定にも反映）
+ * @param {number} i - メンバーのインデックス
+ * @param {string} key - "name" or "share"
+ * @param {string} value - 入力値
+ */
+async function updateMember(i, key, value) {
+  const m = HOUSEHOLD.members[i];
+  if (!m) return;
+  if (key === 'share') {
+    m.share = Math.max(parseInt(value, 10) || 0, 0);
+  } else {
+    const name = value.trim().substring(0, 20);
+    if (!name || HOUSEHOLD.members.some(x => x !== m && x.name === name)) {
+      toast('⚠️ 名前が空か、他のメンバーと重複しています');
+      renderHouseholdCfg();
+      return;
+    }
+    Object.keys(HOUSEHOLD.accounts).forEach(a => {
+      if (HOUSEHOLD.accounts[a] === m.name) HOUSEHOLD.accounts[a] = name;
+    });
+    renameSharedCatMember(m.name, name);
+    await renameSplitMember(m.name, name);
+    m.name = name;
+  }
+  await saveHousehold();
+  renderAll();
+}
+
+/**
+ * 世帯メンバーを削除（割り当てた金融機関は未割り当てに戻し、大項目・取引ごとの割合からも除く）
+ * @param {number} i - メンバーのインデックス
+ */
+async function removeMember(i) {
+  const m = HOUSEHOLD.members[i];
+  if (!m || !confirm(`${m.name}を削除しますか？`)) return;
+  HOUSEHOLD.members.splice(i, 1);
+  Object.keys(HOUSEHOLD.accounts).forEach(a => {
+    if (HOUSEHOLD.accounts[a] === m.name) delete HOUSEHOLD.accounts[a];
+  });
+  renameSharedCatMember(m.name, null);
+  await renameSplitMember(m.name, null);
+  await saveHousehold();
+  renderAll();
+}
+
+/**
+ * 金融機関をメンバーに割り当て
+ * @param {string} acc - 金融機関
+ * @param {string} name - メンバー名（空文字で未割り当て）
+ */
+function setAccountMember(acc, name) {
+  if (name) HOUSEHOLD.accounts[acc] = name;
+  else delete HOUSEHOLD.accounts[acc];
+  saveHousehold();
+  renderAll();
+}
+
+/**
+ * 大項目の共有設定を変更
+ * @param {string} cat - 大項目
+ * @param {string} key - "shared"（共有費にするか）またはメンバー名（その大項目での負担割合）
+ * @param {string|boolean} value - 入力値
+ */
+function setSharedCat(cat, key, value) {
+  if (key === 'shared') {
+    if (value) HOUSEHOLD.sharedCats[cat] = HOUSEHOLD.sharedCats[cat] || null;
+    else delete HOUSEHOLD.sharedCats[cat];
+  } else if (cat in HOUSEHOLD.sharedCats) {
+    const r = HOUSEHOLD.sharedCats[cat] || {};
+    if (value === '') delete r[key];
+    else r[key] = Math.max(parseInt(value, 10) || 0, 0);
+    HOUSEHOLD.sharedCats[cat] = Object.keys(r).length ? r : null;
+  }
+  saveHousehold();
+  renderAll();
+}
+
+/**
+ * 金融機関のメンバーを取得
+ * @param {string} acc - 金融機関
+ * @returns {string} メンバー名（未割り当てなら空文字）
+ */
+function memberOfAccount(acc) {
+  const name = HOUSEHOLD.accounts[acc];
+  return name && HOUSEHOLD.members.some(m => m.name === name) ? name : '';
+}
+
+/**
+ * 負担割合を合計100%に正規化（指定のないメンバーは既定の割合）
+ * @param {Object<string, number>} [ratio] - {メンバー: 割合}
+ * @returns {Object<string, number>|null} {メンバー: %}（合計0なら null）
+ */
+function normalizeSplit(ratio) {
+  const r = {};
+  HOUSEHOLD.members.forEach(m => {
+    const v = ratio && typeof ratio[m.name] === 'number' ? ratio[m.name] : m.share;
+    r[m.name] = Math.max(v || 0, 0);
+  });
+  const sum = Object.values(r).reduce((s, v) => s + v, 0);
+  if (!sum) return null;
+  Object.keys(r).forEach(k => { r[k] = r[k] * 100 / sum; });
+  return r;
+}
+
+/**
+ * 取引ごとの共有設定を検証（インポート・入力フォーム用）
+ * @param {*} v - "shared" / "personal" / {メンバー名: 割合}
+ * @returns {string|Object<string, number>|null} 検証済みの設定（無効なら null）
+ */
+function sanitizeSplit(v) {
+  if (v === 'shared' || v === 'personal') return v;
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return null;
+  const r = {};
+  Object.entries(v).forEach(([m, pct]) => {
+    if (typeof pct === 'number' && pct >= 0 && isFinite(pct)) r[m.substring(0, 20)] = pct;
+  });
+  return Object.keys(r).length ? r : null;
+}
+
+/**
+ * 取引の負担割合を取得
+ * 取引ごとの設定（split: "shared" / "personal" / {メンバー: 割合}）があればそれを、なければ大項目の共有設定を使う
+ * @param {Object} t - 取引明細
+ * @returns {Object<string, number>|null} {メンバー: %}（共有費でなければ null）
+ */
+function txnSplit(t) {
+  if (HOUSEHOLD.members.length < 2 || ['income', 'points', 'transfer'].includes(t.category)) return null;
+  if (t.split === 'personal') return null;
+  if (t.split && typeof t.split === 'object') return normalizeSplit(t.split);
+  if (t.split === 'shared') return normalizeSplit(HOUSEHOLD.sharedCats[t.category]);
+  return t.category in HOUSEHOLD.sharedCats ? normalizeSplit(HOUSEHOLD.sharedCats[t.category]) : null;
+}
+
+/**
+ * 共有費の精算を計算
+ * 支払ったメンバーは金融機関の割り当てで決め、負担割合との差額を最小の送金回数で精算
+ * @param {Array} txns - 取引明細
+ * @returns {{paid: Object, owe: Object, shared: Array, unassigned: number, transfers: Array<{from: string, to: string, amount: number}>}} 精算結果
+ */
+function computeSettlement(txns) {
+  const paid = {}, owe = {};
+  HOUSEHOLD.members.forEach(m => { paid[m.name] = 0; owe[m.name] = 0; });
+  const shared = [];
+  let unassigned = 0;
+
+  txns.forEach(t => {
+    const ratio = txnSplit(t);
+    if (!ratio) return;
+    const payer = memberOfAccount(t.account);
+    if (!payer) {
+      unassigned++;
+      return;
+    }
+    const cost = -t.amount;  // 返金はマイナスの支払い
+    paid[payer] += cost;
+    Object.entries(ratio).forEach(([m, pct]) => { owe[m] += cost * pct / 100; });
+    shared.push({ t, payer, ratio });
+  });
+
+  // 払いすぎ（プラス）と不足（マイナス）を大きい順に突き合わせ
+  const bal = HOUSEHOLD.members.map(m => ({ name: m.name, v: Math.round(paid[m.name] - owe[m.name]) }));
+  const cr = bal.filter(b => b.v > 0).sort((a, b) => b.v - a.v);
+  const dr = bal.filter(b => b.v < 0).sort((a, b) => a.v - b.v);
+  const transfers = [];
+  while (cr.length && dr.length) {
+    const amount = Math.min(cr[0].v, -dr[0].v);
+    if (amount > 0) transfers.push({ from: dr[0].name, to: cr[0].name, amount });
+    cr[0].v -= amount;
+    dr[0].v += amount;
+    if (!cr[0].v) cr.shift();
+    if (!dr[0].v) dr.shift();
+  }
+
+  return { paid, owe, shared, unassigned, transfers };
+}
+
+/**
+ * ダッシュボードの共有費の精算パネルを描画（メンバーが2人以上のときのみ表示）
+ */
+async function renderSettlement() {
+  const pn = document.getElementById('settlePanel');
+  if (!pn) return;
+  const mk = selectedMonth;
+  pn.style.display = HOUSEHOLD.members.length >= 2 && mk ? '' : 'none';
+  if (HOUSEHOLD.members.length < 2 || !mk) return;
+
+  const st = computeSettlement(await dbGetByIndex('transactions', 'month', mk));
+  if (mk !== selectedMonth) return;
+
+  let h = '<div class="settle-tf">' + (st.transfers.length
+    ? st.transfers.map(x => `<div class="settle-line">${escapeHtml(x.from)} → ${escapeHtml(x.to)} <b>${FY(x.amount)}</b></div>`).join('')
+    : `<div class="settle-line" style="color:var(--t3)">${st.shared.length ? '精算は不要です' : '共有費の取引はありません'}</div>`) + '</div>';
+  h += '<div class="tbl-wrap"><table class="mt settle-t"><thead><tr><th>メンバー</th><th>共有費の支払</th><th>負担額</th><th>差額</th></tr></thead><tbody>';
+  HOUSEHOLD.members.forEach(m => {
+    const diff = Math.round(st.paid[m.name] - st.owe[m.name]);
+    h += `<tr><td>${escapeHtml(m.name)}</td><td>${F(st.paid[m.name])}</td><td>${F(Math.round(st.owe[m.name]))}</td><td class="${diff >= 0 ? 'dp' : 'dn'}">${diff >= 0 ? '+' : ''}${F(diff)}</td></tr>`;
+  });
+  h += '</tbody></table></div>';
+  if (st.unassigned) h += `<p class="set-hint">⚠️ 金融機関がメンバーに割り当てられていない共有費 ${st.unassigned}件は精算に含めていません（設定 › 世帯メンバー・共有費）</p>`;
+  document.getElementById('settleBody').innerHTML = h;
+}
+
+/**
+ * 選択月の共有費の取引をモーダルで表示
+ */
+async function showSettleDetail() {
+  const mk = selectedMonth;
+  const st = computeSettlement(await dbGetByIndex('transactions', 'month', mk));
+  document.getElementById('modalTitle').textContent = `共有費 — ${mk} 明細`;
+  modalTxns = [];
+  modalReturn = () => showSettleDetail();
+  txnFormPreset = { kind: 'expense' };
+
+  if (!st.shared.length) {
+    document.getElementById('modalBody').innerHTML = detailEmpty();
+    document.getElementById('modalBg').classList.add('show');
+    return;
+  }
+
+  let h = `<div class="detail-row header"><span>日付</span><span>内容</span><span style="text-align:right">金額</span><span>支払 / 負担</span></div>`;
+  st.shared.sort((a, b) => a.t.date.localeCompare(b.t.date)).forEach(({ t, payer, ratio }) => {
+    const split = Object.entries(ratio).map(([m, pct]) => `${m} ${Math.round(pct)}%`).join(' / ');
+    h += `${detailRowOpen(t)}<span>${escapeHtml(t.date.replace(/^\d{4}\//, ''))}</span><span>${refundBadge(t)}${escapeHtml(t.content)}${txnNotes(t)}</span><span class="amt" style="color:${t.amount > 0 ? 'var(--cn)' : 'var(--rd)'}">${F(-t.amount)}</span><span class="acct" title="${escapeHtml(split)}">${escapeHtml(payer)} / ${escapeHtml(split)}</span></div>`;
+  });
+  h += `<div class="detail-total"><span>${st.shared.length}件</span><span style="color:var(--rd)">${FY(st.shared.reduce((s, x) => s - x.t.amount, 0))}</span></div>`;
+  h += detailAddButton();
+
+  document.getElementById('modalBody').innerHTML = h;
+  document.getElementById('modalBg').classList.add('show');
+}
+
+/**
+ * 世帯メンバー・共有費の設定欄を描画
+ */
+function renderHouseholdCfg() {
+  const el = document.getElementById('householdCfg');
+  if (!el) return;
+  const ms = HOUSEHOLD.members;
+
+  // メンバー（名前・既定の負担割合）
+  let h = '<p class="set-hint" style="margin:0 0 6px">支払ったメンバーは金融機関の割り当てで決まります。負担割合は比率（例: 60 と 40）で、大項目・取引ごとに変更できます。</p>';
+  ms.forEach((m, i) => {
+    h += `<div class="rule-rw">
+      <span class="rule-no">${i + 1}</span>
+      <input class="rule-in" type="text" value="${escapeHtml(m.name)}" placeholder="名前" onchange="updateMember(${i},'name',this.value)">
+      <span class="rule-sep">既定の負担</span>
+      <input class="rule-in hh-pct" type="number" min="0" value="${m.share}" onchange="updateMember(${i},'share',this.value)">
+      <span class="rule-ops"><button class="rule-btn del" onclick="removeMember(${i})" title="削除">✕</button></span>
+    </div>`;
+  });
+  h += '<div class="rule-actions"><button class="sb-btn" onclick="addMember()">＋ メンバー追加</button></div>';
+  if (ms.length < 2) {
+    el.innerHTML = h + '<p class="set-hint">メンバーを2人以上登録すると共有費の精算ができます</p>';
+    return;
+  }
+
+  // 金融機関 → メンバー
+  const accs = new Set(Object.keys(HOUSEHOLD.accounts));
+  allMonths.forEach(m => Object.keys(monthSummaries[m].accountFlows || {}).forEach(a => accs.add(a)));
+  const memberOpts = cur => `<option value="">未割り当て</option>` + ms.map(m => `<option value="${escapeHtml(m.name)}"${m.name === cur ? ' selected' : ''}>${escapeHtml(m.name)}</option>`).join('');
+  h += '<div class="sub-budget-cat">金融機関の持ち主</div><div class="hh-grid">';
+  [...accs].sort().forEach(a => {
+    const ea = escapeHtml(a);
+    h += `<label class="hh-acc"><span title="${ea}">${ea}</span><select class="bill-sel" onchange="setAccountMember('${ea}',this.value)">${memberOpts(memberOfAccount(a))}</select></label>`;
+  });
+  h += '</div>';
+
+  // 共有費にする大項目と負担割合（空欄は既定の割合）
+  const cats = [...new Set(allMonths.flatMap(m => Object.keys(monthSummaries[m].expenses || {})))].sort();
+  h += `<div class="sub-budget-cat">共有費にする大項目</div><div class="tbl-wrap"><table class="mt hh-t"><thead><tr><th>大項目</th><th>共有</th>${ms.map(m => `<th>${escapeHtml(m.name)} %</th>`).join('')}</tr></thead><tbody>`;
+  cats.forEach(c => {
+    const ec = escapeHtml(c);
+    const on = c in HOUSEHOLD.sharedCats;
+    const r = HOUSEHOLD.sharedCats[c] || {};
+    h += `<tr><td>${ec}</td><td><input type="checkbox"${on ? ' checked' : ''} onchange="setSharedCat('${ec}','shared',this.checked)"></td>
+      ${ms.map(m => on ? `<td><input class="asset-in hh-pct" type="number" min="0" value="${r[m.name] === undefined ? '' : r[m.name]}" placeholder="${m.share}" onchange="setSharedCat('${ec}','${escapeHtml(m.name)}',this.value)"></td>` : '<td></td>').join('')}</tr>`;
+  });
+  el.innerHTML = h + '</tbody></table></div>';
+}
+
+/**
+ * Sankeyのフローの金融機関をメンバーに置き換えて合算（未割り当ての金融機関はそのまま）
+ * @param {Array<{from: string, to: string, amount: number}>} flows - フロー
+ * @param {Object<string, number>} nc - ノードの列（メンバーノードを中央列として追加）
+ * @param {Object<string, string>} labels - ノードの表示名（メンバーノードを追加）
+ * @param {boolean} [transfer=false] - 振替のフローか（両端とも金融機関）
+ * @returns {Array} 置き換え後のフロー（同じメンバーどうしになった振替は除く）
+ */
+function groupFlowsByMember(flows, nc, labels, transfer = false) {
+  const node = n => {
+    const m = transfer || nc[n] === 1 ? memberOfAccount(n) : '';
+    if (!m) return n;
+    labels[MEMBER_NODE + m] = `👤 ${m}`;
+    return MEMBER_NODE + m;
+  };
+  const merged = new Map();
+  flows.forEach(f => {
+    const from = node(f.from), to = node(f.to);
+    if (from === to) return;
+    const k = `${from}\u0000${to}`;
+    if (merged.has(k)) merged.get(k).amount += f.amount;
+    else merged.set(k, { ...f, from, to });
+  });
+  Object.keys(labels).forEach(k => { if (k.startsWith(MEMBER_NODE)) nc[k] = 1; });
+  return [...merged.values()];
+}
+
+// ========================================
+// 取引一覧（全期間の検索・絞り込み）
+// ========================================
+
+/** 取引一覧の絞り込み条件 */
+let txnFilter = { q: '', from: '', to: '', cat: '', sub: '', acc: '', merchant: '', tag: '', min: '', max: '' };
+
+/** 取引一覧の並び順（dir: 1 昇順 / -1 降順） */
+let txnSort = { key: 'date', dir: -1 };
+
+/** 取引一覧の読み込み済みデータ（期間条件が変わるまで再利用） */
+let txnListCache = { key: null, txns: [] };
+
+/** 取引一覧の最大表示件数 */
+const TXN_LIST_LIMIT = 500;
+
+/**
+ * 大項目の表示名を取得
+ * @param {string} c - 取引の category
+ * @returns {string} 表示名
+ */
+function catLabel(c) {
+  if (c === 'income') return '収入';
+  if (c === 'points') return 'ポイント等';
+  if (c === 'transfer') return '振替';
+  return c;
+}
+
+/**
+ * 期間条件に該当する取引を読み込み（月インデックスで対象月のみ取得）
+ * @returns {Promise<Array>} 取引明細
+ */
+async function fetchTxnList() {
+  const key = `${txnFilter.from}|${txnFilter.to}`;
+  if (txnListCache.key === key) return txnListCache.txns;
+
+  let txns;
+  if (!txnFilter.from && !txnFilter.to) {
+    txns = await dbGetAll('transactions');
+  } else {
+    // まとめ取り込みで日付と所属月がずれる取引も拾えるよう前後1ヶ月を含めて取得
+    const lo = txnFilter.from ? shiftMonth(periodOfDate(txnFilter.from), -1) : '';
+    const hi = txnFilter.to ? shiftMonth(periodOfDate(txnFilter.to), 1) : '9999/12';
+    const months = allMonths.filter(m => m >= lo && m <= hi);
+    txns = (await Promise.all(months.map(m => dbGetByIndex('transactions', 'month', m)))).flat();
+  }
+
+  txnListCache = { key, txns };
+  return txns;
+}
+
+/**
+ * 取引一覧の絞り込み条件を更新
+ * @param {string} key - 条件名
+ * @param {string} value - 入力値
+ */
+function setTxnFilter(key, value) {
+  txnFilter[key] = value;
+  if (key === 'cat') txnFilter.sub = '';
+  renderTxnList();
+}
+
+/**
+ * 取引一覧の絞り込み条件をクリア
+ */
+function clearTxnFilter() {
+  txnFilter = { q: '', from: '', to: '', cat: '', sub: '', acc: '', merchant: '', tag: '', min: '', max: '' };
+  renderTxnList();
+}
+
+/**
+ * 取引一覧の並び順を切り替え
+ * @param {string} key - 並び替える列
+ */
+function sortTxnList(key) {
+  txnSort = txnSort.key === key ? { key, dir: -txnSort.dir } : { key, dir: key === 'date' || key === 'amount' ? -1 : 1 };
+  renderTxnList();
+}
+
+/**
+ * 取引一覧を描画
+ */
+async function renderTxnList() {
+  const fEl = document.getElementById('txnFilter');
+  const tEl = document.getElementById('txnTable');
+  if (!fEl || !tEl) return;
+
+  const all = await fetchTxnList();
+  const f = txnFilter;
+
+  // 絞り込み
+  const from = f.from.replace(/-/g, '/');
+  const to = f.to.replace(/-/g, '/');
+  const q = f.q.trim().toLowerCase();
+  const min = parseInt(f.min, 10), max = parseInt(f.max, 10);
+  const list = all.filter(t => {
+    if (from && t.date < from) return false;
+    if (to && t.date > to) return false;
+    if (f.cat && t.category !== f.cat) return false;
+    if (f.sub && t.subcategory !== f.sub) return false;
+    if (f.acc && t.account !== f.acc) return false;
+    if (!isNaN(min) && Math.abs(t.amount) < min) return false;
+    if (!isNaN(max) && Math.abs(t.amount) > max) return false;
+    if (f.merchant && !merchantOf(t.content).toLowerCase().includes(f.merchant.trim().toLowerCase())) return false;
+    if (f.tag && !(t.tags || []).includes(f.tag)) return false;
+    if (q && ![t.content, merchantOf(t.content), t.memo, ...(t.tags || [])].some(v => String(v || '').toLowerCase().includes(q))) return false;
+    return true;
+  });
+
+  // 並び替え
+  const { key, dir } = txnSort;
+  list.sort((a, b) => {
+    const val = t => key === 'category' ? catLabel(t.category) : key === 'merchant' ? merchantOf(t.content) : t[key];
+    const va = val(a), vb = val(b);
+    const c = typeof va === 'number' ? va - vb : String(va || '').localeCompare(String(vb || ''));
+    return c * dir || String(a.date).localeCompare(String(b.date)) * dir;
+  });
+
+  // 絞り込みの選択肢
+  const uniq = arr => [...new Set(arr.filter(Boolean))].sort();
+  const cats = uniq(all.map(t => t.category));
+  const subs = uniq(all.filter(t => !f.cat || t.category === f.cat).map(t => t.subcategory));
+  const accs = uniq(all.map(t => t.account));
+  const tags = uniq(all.flatMap(t => t.tags || []));
+  const merchants = uniq(all.filter(t => !['income', 'points', 'transfer'].includes(t.category)).map(t => merchantOf(t.content)));
+  const opts = (arr, cur, lb = v => v) => `<option value="">すべて</option>` + arr.map(v => `<option value="${escapeHtml(v)}"${v === cur ? ' selected' : ''}>${escapeHtml(lb(v))}</option>`).join('');
+
+  fEl.innerHTML = `
+    <input class="txf-in txf-q" type="search" placeholder="🔍 内容・店舗・メモ・タグで検索" value="${escapeHtml(f.q)}" onchange="setTxnFilter('q',this.value)">
+    <label class="txf-lb">店舗<input class="txf-in" type="search" list="txnMerchantList" placeholder="すべて" value="${escapeHtml(f.merchant)}" onchange="setTxnFilter('merchant',this.value)"><datalist id="txnMerchantList">${merchants.map(m => `<option value="${escapeHtml(m)}">`).join('')}</datalist></label>
+    <label class="txf-lb">期間<input class="txf-in" type="date" value="${escapeHtml(f.from)}" onchange="setTxnFilter('from',this.value)">〜<input class="txf-in" type="date" value="${escapeHtml(f.to)}" onchange="setTxnFilter('to',this.value)"></label>
+    <label class="txf-lb">大項目<select class="txf-in" onchange="setTxnFilter('cat',this.value)">${opts(cats, f.cat, catLabel)}</select></label>
+    <label class="txf-lb">中項目<select class="txf-in" onchange="setTxnFilter('sub',this.value)">${opts(subs, f.sub)}</select></label>
+    <label class="txf-lb">金融機関<select class="txf-in" onchange="setTxnFilter('acc',this.value)">${opts(accs, f.acc)}</select></label>
+    ${tags.length ? `<label class="txf-lb">タグ<select class="txf-in" onchange="setTxnFilter('tag',this.value)">${opts(tags, f.tag)}</select></label>` : ''}
+    <label class="txf-lb">金額<input class="txf-in txf-num" type="number" placeholder="下限" value="${escapeHtml(f.min)}" onchange="setTxnFilter('min',this.value)">〜<input class="txf-in txf-num" type="number" placeholder="上限" value="${escapeHtml(f.max)}" onchange="setTxnFilter('max',this.value)"></label>
+    <button class="trend-period-btn" onclick="clearTxnFilter()">クリア</button>`;
+
+  // 一覧（累計は表示順に収入をプラス、支出をマイナスで積み上げ）
+  const cols = [
+    { key: 'date', label: '日付' },
+    { key: 'content', label: '内容' },
+    { key: 'merchant', label: '店舗' },
+    { key: 'category', label: '大項目' },
+    { key: 'subcategory', label: '中項目' },
+    { key: 'account', label: '金融機関' },
+    { key: 'amount', label: '金額', num: true }
+  ];
+  let h = `<thead><tr>${cols.map(c => `<th class="${c.num ? 'num ' : ''}sortable" onclick="sortTxnList('${c.key}')">${c.label}${key === c.key ? (dir > 0 ? ' ▲' : ' ▼') : ''}</th>`).join('')}<th class="num">累計</th></tr></thead><tbody>`;
+
+  modalTxns = [];
+  let run = 0, inc = 0, exp = 0;
+  list.forEach((t, i) => {
+    const isIncome = t.category === 'income' || t.category === 'points';
+    const isTransfer = t.category === 'transfer';
+    // 振替は収支の合計・累計に含めない
+    if (!isTransfer) run += t.amount;
+    if (isIncome) inc += t.amount;
+    else if (!isTransfer) exp -= t.amount;
+    if (i >= TXN_LIST_LIMIT) return;
+    modalTxns.push(t);
+    h += `<tr onclick="openTxnFromList(${modalTxns.length - 1})">
+      <td>${escapeHtml(t.date)}</td>
+      <td>${escapeHtml(t.content)}${txnNotes(t)}</td>
+      <td>${isIncome || isTransfer ? '' : `<span class="mc-link" data-merchant="${escapeHtml(merchantOf(t.content))}" onclick="event.stopPropagation();setTxnFilter('merchant',this.dataset.merchant)" title="この店舗で絞り込み">${escapeHtml(merchantOf(t.content))}</span>`}</td>
+      <td>${escapeHtml(catLabel(t.category))}</td>
+      <td>${escapeHtml(isIncome || isTransfer ? '' : t.subcategory)}</td>
+      <td>${escapeHtml(t.account)}</td>
+      <td class="num" style="color:${isTransfer ? 'var(--bl)' : t.amount > 0 ? (isIncome ? 'var(--gn)' : 'var(--cn)') : 'var(--rd)'}">${F(t.amount)}</td>
+      <td class="num" style="color:${run >= 0 ? 'var(--t2)' : 'var(--rd)'}">${F(run)}</td>
+    </tr>`;
+  });
+  h += '</tbody>';
+  tEl.innerHTML = h;
+
+  document.getElementById('txnListInfo').innerHTML = `
+    <span>${F(list.length)}件${list.length > TXN_LIST_LIMIT ? `（先頭${TXN_LIST_LIMIT}件を表示）` : ''}</span>
+    <span>収入 <b style="color:var(--gn)">${FY(inc)}</b></span>
+    <span>支出 <b style="color:var(--rd)">${FY(exp)}</b></span>
+    <span>差引 <b style="color:${inc - exp >= 0 ? 'var(--bl)' : 'var(--rd)'}">${FY(inc - exp)}</b></span>`;
+}
+
+/**
+ * 取引一覧の行から編集フォームを開く
+ * @param {number} idx - modalTxns 内のインデックス
+ */
+function openTxnFromList(idx) {
+  modalReturn = () => {
+    closeModal();
+    renderTxnList();
+  };
+  openTxnForm(idx);
+}
+
+// ========================================
+// 自動分類ルール
+// ========================================
+
+/** ルールの照合対象 */
+const RULE_FIELDS = [
+  { key: 'content', label: '内容' },
+  { key: 'account', label: '金融機関' },
+  { key: 'subcategory', label: '中項目' }
+];
+
+/**
+ * ルールが取引に一致するか判定
+ * @param {Object} rule - 分類ルール
+ * @param {{content: string, account: string, subcategory: string, amount: number}} r - 取引（CSVの大項目・中項目）
+ * @returns {boolean} 一致すればtrue
+ */
+function ruleMatches(rule, r) {
+  if (!rule.pattern && !rule.minAmount && !rule.maxAmount) return false;
+
+  const abs = Math.abs(r.amount);
+  if (rule.minAmount && abs < rule.minAmount) return false;
+  if (rule.maxAmount && abs > rule.maxAmount) return false;
+
+  if (rule.pattern) {
+    const v = String(r[rule.field] || '');
+    if (rule.type === 'regex') {
+      try {
+        if (!new RegExp(rule.pattern, 'i').test(v)) return false;
+      } catch (e) {
+        return false;
+      }
+    } else if (!v.toLowerCase().includes(rule.pattern.toLowerCase())) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 支出取引に最初に一致した分類ルールを取得
+ * @param {Object} r - 取引（CSVの大項目・中項目）
+ * @returns {Object|null} 一致したルール
+ */
+function findRecatRule(r) {
+  if (r.amount > 0) return null;
+  return RECAT_RULES.find(rule => rule.category && ruleMatches(rule, r)) || null;
+}
+
+/**
+ * 支出取引に分類ルールを適用（元の大項目・中項目は mfCategory / mfSubcategory に保持）
+ * 手入力した取引・手動で分類を変えた取引（categoryLocked）はそのまま返す
+ * @param {Object} t - 取引明細
+ * @returns {Object} ルール適用後の取引明細
+ */
+function applyRecatRules(t) {
+  if (t.manual || t.categoryLocked) return t;
+  if (t.category === 'income' || t.category === 'points' || t.category === 'transfer' || t.amount > 0) return t;
+
+  const orig = {
+    ...t,
+    category: t.mfCategory !== undefined ? t.mfCategory : t.category,
+    subcategory: t.mfSubcategory !== undefined ? t.mfSubcategory : t.subcategory
+  };
+  const rule = findRecatRule(orig);
+  const { mfCategory, mfSubcategory, ...rest } = orig;
+
+  if (!rule) return { ...rest, monthCat: txnMonthCat(rest) };
+  const res = {
+    ...rest,
+    category: rule.category,
+    subcategory: rule.subcategory || orig.subcategory,
+    mfCategory: orig.category,
+    mfSubcategory: orig.subcategory
+  };
+  res.monthCat = txnMonthCat(res);
+  return res;
+}
+
+/**
+ * 分類ルールを保存
+ */
+async function saveRecatRules() {
+  await dbPut('config', { key: 'recatRules', value: RECAT_RULES });
+}
+
+/**
+ * 分類ルールを追加
+ */
+function addRecatRule() {
+  RECAT_RULES.push({ field: 'content', type: 'substring', pattern: '', minAmount: 0, maxAmount: 0, category: '', subcategory: '' });
+  saveRecatRules();
+  renderRecatRules();
+}
+
+/**
+ * 分類ルールの項目を更新
+ * @param {number} i - ルールのインデックス
+ * @param {string} key - 項目名
+ * @param {string} value - 入力値
+ */
+function updateRecatRule(i, key, value) {
+  const rule = RECAT_RULES[i];
+  if (!rule) return;
+  rule[key] = key === 'minAmount' || key === 'maxAmount' ? (parseInt(value, 10) || 0) : value.trim();
+  saveRecatRules();
+  renderRecatRules();
+}
+
+/**
+ * 分類ルールの順番を入れ替え（上のルールが優先）
+ * @param {number} i - ルールのインデックス
+ * @param {number} delta - 移動量（-1: 上へ, 1: 下へ）
+ */
+function moveRecatRule(i, delta) {
+  const j = i + delta;
+  if (j < 0 || j >= RECAT_RULES.length) return;
+  [RECAT_RULES[i], RECAT_RULES[j]] = [RECAT_RULES[j], RECAT_RULES[i]];
+  saveRecatRules();
+  renderRecatRules();
+}
+
+/**
+ * 分類ルールを削除
+ * @param {number} i - ルールのインデックス
+ */
+function removeRecatRule(i) {
+  RECAT_RULES.splice(i, 1);
+  saveRecatRules();
+  renderRecatRules();
+}
+
+/**
+ * 分類ルールの設定欄を描画
+ */
+function renderRecatRules() {
+  const el = document.getElementById('recatCfg');
+  if (!el) return;
+
+  const cats = [...new Set([...Object.keys(BUDGETS), ...allMonths.flatMap(m => Object.keys(monthSummaries[m].expenses || {}))])].sort();
+  const sel = (i, key, opts, cur) => `<select class="rule-in" onchange="updateRecatRule(${i},'${key}',this.value)">${opts.map(o => `<option value="${o.key}"${o.key === cur ? ' selected' : ''}>${o.label}</option>`).join('')}</select>`;
+  const inp = (i, key, v, ph, type = 'text', list = '') => `<input class="rule-in" type="${type}" value="${escapeHtml(String(v || ''))}" placeholder="${ph}"${list ? ` list="${list}"` : ''} onchange="updateRecatRule(${i},'${key}',this.value)">`;
+
+  let h = `<datalist id="recatCatList">${cats.map(c => `<option value="${escapeHtml(c)}">`).join('')}</datalist>`;
+  if (!RECAT_RULES.length) {
+    h += '<p class="set-hint">ルールはまだありません。上のルールから順に判定し、最初に一致したルールの大項目・中項目に書き換えます。</p>';
+  }
+  RECAT_RULES.forEach((rule, i) => {
+    let invalid = false;
+    if (rule.type === 'regex' && rule.pattern) {
+      try { new RegExp(rule.pattern); } catch (e) { invalid = true; }
+    }
+    h += `<div class="rule-rw${invalid ? ' invalid' : ''}">
+      <span class="rule-no">${i + 1}</span>
+      ${sel(i, 'field', RULE_FIELDS, rule.field)}
+      ${sel(i, 'type', [{ key: 'substring', label: '含む' }, { key: 'regex', label: '正規表現' }], rule.type)}
+      ${inp(i, 'pattern', rule.pattern, 'パターン')}
+      ${inp(i, 'minAmount', rule.minAmount || '', '下限', 'number')}<span class="rule-sep">〜</span>${inp(i, 'maxAmount', rule.maxAmount || '', '上限', 'number')}
+      <span class="rule-sep">→</span>
+      ${inp(i, 'category', rule.category, '大項目', 'text', 'recatCatList')}
+      ${inp(i, 'subcategory', rule.subcategory, '中項目（任意）')}
+      <span class="rule-ops">
+        <button class="rule-btn" onclick="moveRecatRule(${i},-1)" title="上へ">↑</button>
+        <button class="rule-btn" onclick="moveRecatRule(${i},1)" title="下へ">↓</button>
+        <button class="rule-btn" onclick="testRecatRule(${i})" title="既存の取引で試す">🔍</button>
+        <button class="rule-btn del" onclick="removeRecatRule(${i})" title="削除">✕</button>
+      </span>
+    </div>`;
+  });
+  h += `<div class="rule-actions">
+    <button class="sb-btn" onclick="addRecatRule()">＋ ルール追加</button>
+    <button class="sb-btn" onclick="applyRulesToPast()">🔄 過去の取引に適用</button>
+  </div>`;
+  el.innerHTML = h;
+}
+
+/**
+ * 分類ルールを保存済みの取引で試し、一致する取引を明細モーダルに表示
+ * @param {number} i - ルールのインデックス
+ */
+async function testRecatRule(i) {
+  const rule = RECAT_RULES[i];
+  if (!rule) return;
+
+  const txns = await dbGetAll('transactions');
+  const hits = txns.filter(t => {
+    if (t.manual || t.categoryLocked) return false;
+    if (t.category === 'income' || t.category === 'points' || t.category === 'transfer' || t.amount > 0) return false;
+    const orig = {
+      ...t,
+      category: t.mfCategory !== undefined ? t.mfCategory : t.category,
+      subcategory: t.mfSubcategory !== undefined ? t.mfSubcategory : t.subcategory
+    };
+    return ruleMatches(rule, orig);
+  }).sort((a, b) => b.date.localeCompare(a.date));
+
+  document.getElementById('modalTitle').textContent = `ルール${i + 1} のテスト — ${hits.length}件一致`;
+  modalTxns = [];
+  modalReturn = null;
+
+  let h = `<div class="detail-row header"><span>日付</span><span>内容</span><span style="text-align:right">金額</span><span>現在の大項目</span></div>`;
+  hits.slice(0, 200).forEach(t => {
+    h += `<div class="detail-row"><span>${escapeHtml(t.date)}</span><span>${escapeHtml(t.content)}</span><span class="amt" style="color:var(--rd)">${F(Math.abs(t.amount))}</span><span class="acct">${escapeHtml(t.category)}${t.category !== rule.category ? ` → ${escapeHtml(rule.category || '—')}` : ''}</span></div>`;
+  });
+  if (hits.length > 200) h += `<p class="set-hint">ほか${hits.length - 200}件</p>`;
+  if (!hits.length) h = '<p style="color:var(--t3);font-size:14px;padding:20px;text-align:center">一致する取引はありません</p>';
+
+  document.getElementById('modalBody').innerHTML = h;
+  document.getElementById('modalBg').classList.add('show');
+}
+
+/**
+ * 分類ルールを保存済みの全取引に適用し、変更のあった月を再集計
+ */
+async function applyRulesToPast() {
+  if (!confirm('自動分類ルールを保存済みの全取引に適用しますか？\n\nルールに一致しなくなった取引はCSVの元の大項目に戻ります（手入力・手動で分類を変えた取引は対象外）。')) return;
+
+  const txns = await dbGetAll('transactions');
+  const changed = [];
+  txns.forEach(t => {
+    const n = applyRecatRules(t);
+    if (n.category !== t.category || n.subcategory !== t.subcategory) changed.push(n);
+  });
+
+  await dbBulkPut('transactions', changed);
+  await rebuildMonths([...new Set(changed.map(t => t.month))]);
+  await saveConfig();
+  await loadAllMonths();
+  renderAll();
+  renderSettings();
+  toast(`🔄 ${changed.length}件の取引を再分類しました`);
+}
+
+// ========================================
+// 収入の分類
+// ========================================
+
+/** 収入ルールの照合対象 */
+const INCOME_RULE_FIELDS = [
+  { key: 'content', label: '内容' },
+  { key: 'category', label: '大項目' },
+  { key: 'subcategory', label: '中項目' },
+  { key: 'account', label: '金融機関' }
+];
+
+/** 収入ルールの分類先 */
+const INCOME_RULE_ACTIONS = [
+  { key: 'label', label: '収入ラベル' },
+  { key: 'points', label: 'ポイント等' },
+  { key: 'refund', label: '返金（支出と相殺）' }
+];
+
+/**
+ * 収入の分類ルールの初期値（従来の固定判定と同じ）
+ * @returns {Array} 収入ルール
+ */
+function defaultIncomeRules() {
+  return [
+    { field: 'content', type: 'regex', pattern: 'ポイント|キャッシュバック|利息|プレゼント', action: 'points', label: '' },
+    { field: 'subcategory', type: 'substring', pattern: '給与', action: 'label', label: '給与' },
+    { field: 'content', type: 'substring', pattern: '給料', action: 'label', label: '給与' },
+    { field: 'category', type: 'substring', pattern: '交通費', action: 'label', label: '交通費支給' },
+    { field: 'subcategory', type: 'substring', pattern: '交通費', action: 'label', label: '交通費支給' }
+  ];
+}
+
+/**
+ * 収入行を分類し、取引明細の大項目・中項目を決定
+ * どのルールにも一致しない場合、大項目が支出カテゴリ（収入以外）の行は返金として相殺（設定で無効化可）、
+ * それ以外は「その他収入」。
+ * 相殺が有効なとき、支出カテゴリの行には大項目・中項目で照合する収入ラベルのルールを使わない
+ * （「交通費」の大項目の Suica 返金などを交通費支給にしないため）
+ * @param {{content: string, category: string, subcategory: string, account: string, amount: number}} r - 収入行（CSVの大項目・中項目）
+ * @returns {{category: string, subcategory: string}} 取引明細の大項目・中項目
+ */
+function classifyIncome(r) {
+  const spendRow = REFUND_NETTING && r.category && r.category !== '収入';
+  const rule = INCOME_RULES.find(rule =>
+    !(spendRow && rule.action === 'label' && (rule.field === 'category' || rule.field === 'subcategory')) && ruleMatches(rule, r));
+  if (!rule) {
+    if (spendRow) return { category: r.category, subcategory: r.subcategory };
+    return { category: 'income', subcategory: 'その他収入' };
+  }
+  if (rule.action === 'points') return { category: 'points', subcategory: 'ポイント' };
+  if (rule.action === 'refund') {
+    // 相殺先の大項目（未指定ならCSVの大項目）
+    const cat = rule.label || (r.category && r.category !== '収入' ? r.category : '未分類');
+    return { category: cat, subcategory: r.subcategory };
+  }
+  return { category: 'income', subcategory: rule.label || 'その他収入' };
+}
+
+/**
+ * 収入ラベルの一覧を取得（取引フォームの候補用）
+ * @returns {string[]} ラベルの配列
+ */
+function incomeLabels() {
+  return [...new Set([...INCOME_RULES.filter(r => r.action === 'label' && r.label).map(r => r.label), 'その他収入'])];
+}
+
+/**
+ * 収入ルールを保存
+ */
+async function saveIncomeRules() {
+  await dbPut('config', { key: 'incomeRules', value: INCOME_RULES });
+}
+
+/**
+ * 収入ルールを追加
+ */
+function addIncomeRule() {
+  INCOME_RULES.push({ field: 'content', type: 'substring', pattern: '', action: 'label', label: '' });
+  saveIncomeRules();
+  renderIncomeRules();
+}
+
+/**
+ * 収入ルールの項目を更新
+ * @param {number} i - ルールのインデックス
+ * @param {string} key - 項目名
+ * @param {string} value - 入力値
+ */
+function updateIncomeRule(i, key, value) {
+  if (!INCOME_RULES[i]) return;
+  INCOME_RULES[i][key] = value.trim();
+  saveIncomeRules();
+  renderIncomeRules();
+}
+
+/**
+ * 収入ルールの順番を入れ替え（上のルールが優先）
+ * @param {number} i - ルールのインデックス
+ * @param {number} delta - 移動量（-1: 上へ, 1: 下へ）
+ */
+function moveIncomeRule(i, delta) {
+  const j = i + delta;
+  if (j < 0 || j >= INCOME_RULES.length) return;
+  [INCOME_RULES[i], INCOME_RULES[j]] = [INCOME_RULES[j], INCOME_RULES[i]];
+  saveIncomeRules();
+  renderIncomeRules();
+}
+
+/**
+ * 収入ルールを削除
+ * @param {number} i - ルールのインデックス
+ */
+function removeIncomeRule(i) {
+  INCOME_RULES.splice(i, 1);
+  saveIncomeRules();
+  renderIncomeRules();
+}
+
+/**
+ * 収入ルールを初期設定に戻す
+ */
+function resetIncomeRules() {
+  if (!confirm('収入の分類を初期設定に戻しますか？')) return;
+  INCOME_RULES = defaultIncomeRules();
+  saveIncomeRules();
+  renderIncomeRules();
+}
 
 /**
- * 設定画面を描画
+ * 収入の分類の設定欄を描画
  */
-function renderSettings() {
-  // 全カテゴリを取得
-  const allCats = [...new Set(allMonths.flatMap(m => Object.keys(monthSummaries[m].expenses || {})))].sort();
+function renderIncomeRules() {
+  const el = document.getElementById('incomeRuleCfg');
+  if (!el) return;
 
-  // 予算設定
-  let bh = '<div style="display:grid;grid-template-columns:repeat(3,1fr);gap:6px">';
-  allCats.forEach(k => {
-    if (!BUDGETS[k]) BUDGETS[k] = 0;
-    const ek = escapeHtml(k);
-    bh += `<div style="background:var(--s2);border-radius:5px;padding:8px"><label style="font-size:9px;color:var(--t2);display:block;margin-bottom:3px">${ek}</label><input type="number" value="${BUDGETS[k]}" onchange="BUDGETS['${ek}']=parseInt(this.value)||0;saveConfig();renderAll()" style="width:100%;background:var(--s3);border:1px solid var(--bd);color:var(--tx);padding:4px 6px;border-radius:4px;font-size:11px;font-family:inherit"></div>`;
-  });
-  bh += '</div>';
-  document.getElementById('budgetCfg').innerHTML = bh;
+  const sel = (i, key, opts, cur) => `<select class="rule-in" onchange="updateIncomeRule(${i},'${key}',this.value)">${opts.map(o => `<option value="${o.key}"${o.key === cur ? ' selected' : ''}>${o.label}</option>`).join('')}</select>`;
+  const inp = (i, key, v, ph) => `<input class="rule-in" type="text" value="${escapeHtml(String(v || ''))}" placeholder="${ph}" onchange="updateIncomeRule(${i},'${key}',this.value)">`;
 
-  // 固定費・変動費切り替え
-  let ch = '<div style="display:flex;flex-wrap:wrap;gap:5px">';
-  allCats.forEach(k => {
-    const isF = FIXED_CATS.has(k);
-    const ek2 = escapeHtml(k);
-    ch += `<button style="padding:4px 10px;border-radius:14px;font-size:10px;cursor:pointer;border:1px solid ${isF ? 'var(--am)' : 'var(--bd)'};background:${isF ? 'rgba(245,158,11,.12)' : 'var(--s3)'};color:${isF ? 'var(--am)' : 'var(--t2)'};font-family:inherit" onclick="toggleFixed('${ek2}')">${ek2} ${isF ? '固' : '変'}</button>`;
+  let h = '<p class="set-hint" style="margin:0 0 6px">上から順に判定し、最初に一致した分類を使用します。どれにも一致しない収入は「その他収入」になります。</p>';
+  INCOME_RULES.forEach((rule, i) => {
+    let invalid = false;
+    if (rule.type === 'regex' && rule.pattern) {
+      try { new RegExp(rule.pattern); } catch (e) { invalid = true; }
+    }
+    const ph = rule.action === 'refund' ? '相殺先の大項目（空欄: CSVの大項目）' : 'ラベル';
+    h += `<div class="rule-rw${invalid ? ' invalid' : ''}">
+      <span class="rule-no">${i + 1}</span>
+      ${sel(i, 'field', INCOME_RULE_FIELDS, rule.field)}
+      ${sel(i, 'type', [{ key: 'substring', label: '含む' }, { key: 'regex', label: '正規表現' }], rule.type)}
+      ${inp(i, 'pattern', rule.pattern, 'パターン')}
+      <span class="rule-sep">→</span>
+      ${sel(i, 'action', INCOME_RULE_ACTIONS, rule.action)}
+      ${rule.action === 'points' ? '' : inp(i, 'label', rule.label, ph)}
+      <span class="rule-ops">
+        <button class="rule-btn" onclick="moveIncomeRule(${i},-1)" title="上へ">↑</button>
+        <button class="rule-btn" onclick="moveIncomeRule(${i},1)" title="下へ">↓</button>
+        <button class="rule-btn del" onclick="removeIncomeRule(${i})" title="削除">✕</button>
+      </span>
+    </div>`;
   });
-  ch += '</div><p style="margin-top:6px;font-size:9px;color:var(--t3)">クリックで固定費⇔変動費を切り替え</p>';
-  document.getElementById('catCfg').innerHTML = ch;
-
-  // テーマ切り替え
-  const themeEl = document.getElementById('themeToggle');
-  if (themeEl) {
-    themeEl.innerHTML = [
-      { key: 'dark', label: '🌙 ダーク' },
-      { key: 'light', label: '☀️ ライト' }
-    ].map(t => {
-      const active = currentTheme === t.key;
-      return `<button style="padding:4px 12px;border-radius:14px;font-size:10px;cursor:pointer;border:1px solid ${active ? 'var(--gn)' : 'var(--bd)'};background:${active ? 'rgba(34,197,94,.12)' : 'var(--s3)'};color:${active ? 'var(--gn)' : 'var(--t2)'};font-family:inherit" onclick="setTheme('${t.key}');renderSettings()">${t.label}</button>`;
-    }).join('');
-  }
-
-  // フォントサイズ切り替え
-  const fontEl = document.getElementById('fontSizeToggle');
-  if (fontEl) {
-    fontEl.innerHTML = FONT_SIZES.map(f => {
-      const active = currentFontScale === f.scale;
-      return `<button style="padding:4px 12px;border-radius:14px;font-size:10px;cursor:pointer;border:1px solid ${active ? 'var(--gn)' : 'var(--bd)'};background:${active ? 'rgba(34,197,94,.12)' : 'var(--s3)'};color:${active ? 'var(--gn)' : 'var(--t2)'};font-family:inherit" onclick="setFontScale(${f.scale});renderSettings()">${f.label}</button>`;
-    }).join('');
-  }
+  h += `<div class="rule-actions">
+    <button class="sb-btn" onclick="addIncomeRule()">＋ ルール追加</button>
+    <button class="sb-btn" onclick="applyIncomeRulesToPast()">🔄 保存済みの収入に再適用</button>
+    <button class="sb-btn" onclick="resetIncomeRules()">↩ 初期設定に戻す</button>
+  </div>`;
+  el.innerHTML = h;
 }
 
 /**
- * カテゴリの固定費/変動費を切り替え
- * @param {string} k - カテゴリ名
+ * 収入の分類を保存済みの取引（金額がプラスのもの）に再適用し、変更のあった月を再集計
+ * 手入力した取引は対象外
  */
-function toggleFixed(k) {
-  if (FIXED_CATS.has(k)) {
-    FIXED_CATS.delete(k);
-  } else {
-    FIXED_CATS.add(k);
-  }
-  saveConfig();
-  renderSettings();
+async function applyIncomeRulesToPast() {
+  if (!confirm('収入の分類を保存済みの収入に再適用しますか？')) return;
+
+  const txns = await dbGetAll('transactions');
+  const changed = [];
+  txns.forEach(t => {
+    if (t.amount <= 0 || t.manual || t.categoryLocked || t.category === 'transfer') return;
+    // CSVの元の大項目・中項目（明細保存時に記録がなければ現在の値で代用）
+    const isIncome = t.category === 'income' || t.category === 'points';
+    const orig = {
+      ...t,
+      category: t.mfCategory !== undefined ? t.mfCategory : (isIncome ? '収入' : t.category),
+      subcategory: t.mfSubcategory !== undefined ? t.mfSubcategory : t.subcategory
+    };
+    const c = classifyIncome(orig);
+    if (c.category === t.category && c.subcategory === t.subcategory) return;
+    const n = { ...t, ...c, mfCategory: orig.category, mfSubcategory: orig.subcategory };
+    n.monthCat = txnMonthCat(n);
+    changed.push(n);
+  });
+
+  await dbBulkPut('transactions', changed);
+  await rebuildMonths([...new Set(changed.map(t => t.month))]);
+  await saveConfig();
+  await loadAllMonths();
   renderAll();
+  renderSettings();
+  toast(`🔄 ${changed.length}件の収入を再分類しました`);
 }
 
 // ========================================
@@ -1400,6 +5394,9 @@ function renderAll() {
   renderKPI();
   renderIncome();
   renderExpense();
+  renderInsights();
+  renderSettlement();
+  renderGoals();
   renderTrendControls();
   renderTrend();
   renderYearTable();
@@ -1407,7 +5404,194 @@ function renderAll() {
   // アクティブビューに応じて追加描画
   const av = document.querySelector('.nav-i.active')?.dataset?.view;
   if (av === 'sankey') renderSankey();
-  if (av === 'trend') { renderFV(); renderSav(); }
+  if (av === 'trend') { renderFV(); renderSav(); renderCatTrend(); renderMerchantRanking(); renderRecurring(); renderTagReport(); }
+  if (av === 'txns') renderTxnList();
+  if (av === 'assets') renderAssets();
+  if (av === 'billing') renderBilling();
+  if (av === 'settings') renderSettings();
+}
+
+// ========================================
+// 月次サマリー集計（取引明細 → months ストア）
+// ========================================
+
+/**
+ * 取引明細の monthCat（インデックス用キー）を生成
+ * @param {Object} t - 取引明細
+ * @returns {string} "2025/01|||食費" / "2025/01|||income|||給与（三井住友銀行）" / "2025/01|||points" / "2025/01|||transfer"
+ */
+function txnMonthCat(t) {
+  if (t.category === 'income') return `${t.month}|||income|||${t.subcategory}（${t.account}）`;
+  if (t.category === 'points') return `${t.month}|||points`;
+  if (t.category === 'transfer') return `${t.month}|||transfer`;
+  return `${t.month}|||${t.category}`;
+}
+
+/**
+ * 取引の中項目キーを取得（中項目が空の取引は「未設定」）
+ * @param {Object} t - 取引明細
+ * @returns {string} 中項目
+ */
+function subKey(t) {
+  return t.subcategory || '未設定';
+}
+
+/**
+ * 月の取引明細から月次サマリーを生成
+ * @param {string} mk - 月キー
+ * @param {Array} txns - その月の取引明細
+ * @returns {Object} months ストアのレコード
+ */
+function buildMonthSummary(mk, txns) {
+  const fCols = ["#22c55e", "#f59e0b", "#ec4899", "#a855f7", "#3b82f6", "#06b6d4", "#64748b", "#84cc16"];
+  const s = { month: mk, income: 0, points: 0, incomeDetail: {}, expenses: {}, subExpenses: {}, sankeyFlows: [], nodeColumn: {}, lastDate: '', accountFlows: {}, transferFlows: [], recurringExpenses: {}, tagExpenses: {} };
+  const iF = {};  // 収入フロー
+  const eF = {};  // 支出フロー
+  const transfers = [];  // 振替
+
+  txns.forEach(t => {
+    const amt = t.amount;
+    const acc = t.account;
+    if (t.date > s.lastDate) s.lastDate = t.date;
+    s.accountFlows[acc] = (s.accountFlows[acc] || 0) + amt;  // 口座残高の増減（ポイント等・振替も含む）
+
+    // 振替は口座残高のみに反映（収入・支出には含めない）
+    if (t.category === 'transfer') {
+      transfers.push(t);
+      return;
+    }
+
+    // ポイント等は別集計
+    if (t.category === 'points') {
+      s.points += amt;
+      return;
+    }
+
+    if (t.category === 'income') {
+      s.income += amt;
+      const dk = `${t.subcategory}（${acc}）`;
+      s.incomeDetail[dk] = (s.incomeDetail[dk] || 0) + amt;
+
+      // Sankey用：左列ラベルに金融機関名も含める
+      const fk = `${dk}|||${acc}`;
+      iF[fk] = (iF[fk] || 0) + amt;
+      s.nodeColumn[dk] = 0;   // 左列："給与（三井住友銀行）"
+      s.nodeColumn[acc] = 1;  // 中央列："三井住友銀行"
+      return;
+    }
+
+    // 支出
+    const cat = t.category;
+    // 支出はマイナス、返金はプラスで記録されているため符号を反転して集計
+    s.expenses[cat] = (s.expenses[cat] || 0) - amt;
+    if (isRecurringCharge(t)) s.recurringExpenses[cat] = (s.recurringExpenses[cat] || 0) - amt;
+    (t.tags || []).forEach(tag => { s.tagExpenses[tag] = (s.tagExpenses[tag] || 0) - amt; });
+    const subs = s.subExpenses[cat] = s.subExpenses[cat] || {};
+    subs[subKey(t)] = (subs[subKey(t)] || 0) - amt;
+    const fk = `${acc}|||${cat}`;
+    eF[fk] = (eF[fk] || 0) - amt;
+    s.nodeColumn[acc] = 1;
+    s.nodeColumn[cat] = 2;
+  });
+
+  // 収入フローを追加
+  Object.entries(iF).sort((a, b) => b[1] - a[1]).forEach(([key, v]) => {
+    if (v < 100) return;
+    const [from, to] = key.split('|||');
+    s.sankeyFlows.push({ from, to, amount: v, color: fCols[0] });
+  });
+
+  // 支出フローを追加
+  let ci = 0;
+  Object.entries(eF).sort((a, b) => b[1] - a[1]).forEach(([key, v]) => {
+    if (v < 500) return;
+    const [from, to] = key.split('|||');
+    ci++;
+    s.sankeyFlows.push({ from, to, amount: v, color: fCols[ci % fCols.length] });
+  });
+
+  // 振替フロー（出金と入金の組が見つかったもののみ）
+  const pairs = pairTransfers(transfers);
+  const tF = {};
+  transfers.forEach(t => {
+    if (t.amount >= 0 || !pairs.has(t)) return;
+    const fk = `${t.account}|||${pairs.get(t).account}`;
+    tF[fk] = (tF[fk] || 0) - t.amount;
+  });
+  s.transferFlows = Object.entries(tF).map(([key, amount]) => {
+    const [from, to] = key.split('|||');
+    return { from, to, amount };
+  });
+
+  return s;
+}
+
+/**
+ * 振替の出金と入金を組み合わせる
+ * 金額が同じで金融機関が異なり、日付の差が3日以内の入金を出金の相手とする
+ * @param {Array} txns - 振替の取引明細
+ * @returns {Map<Object, Object>} 取引 → 相手の取引（出金・入金の双方を登録）
+ */
+function pairTransfers(txns) {
+  const day = dt => {
+    const [y, m, d] = dt.split('/').map(Number);
+    return Date.UTC(y, m - 1, d) / 86400000;
+  };
+  const pairs = new Map();
+  const ins = txns.filter(t => t.amount > 0);
+  txns.filter(t => t.amount < 0).sort((a, b) => a.date.localeCompare(b.date)).forEach(o => {
+    const i = ins.find(t => !pairs.has(t) && t.amount === -o.amount && t.account !== o.account && Math.abs(day(t.date) - day(o.date)) <= 3);
+    if (i) {
+      pairs.set(o, i);
+      pairs.set(i, o);
+    }
+  });
+  return pairs;
+}
+
+/**
+ * 指定月の月次サマリーを保存済みの取引明細から再計算して保存
+ * 取引明細が1件もない月はサマリーを削除する
+ * @param {string[]} months - 月キーの配列
+ */
+async function rebuildMonths(months) {
+  for (const mk of months) {
+    const txns = await dbGetByIndex('transactions', 'month', mk);
+    if (!txns.length) {
+      await dbDelete('months', mk);
+      continue;
+    }
+    const summary = buildMonthSummary(mk, txns);
+    await dbPut('months', summary);
+
+    // 新しいカテゴリの予算を初期化
+    Object.keys(summary.expenses).forEach(c => {
+      if (BUDGETS[c] === undefined) BUDGETS[c] = 0;
+    });
+  }
+}
+
+/**
+ * 全月の月次サマリーを取引明細から再計算（設定画面の「再集計」）
+ * 取引明細が保存されていない月（明細保存前に取り込んだ月）のサマリーはそのまま残す
+ */
+async function rebuildAllMonths() {
+  const txns = await dbGetAll('transactions');
+  const byMonth = {};
+  txns.forEach(t => (byMonth[t.month] = byMonth[t.month] || []).push(t));
+
+  for (const [mk, list] of Object.entries(byMonth)) {
+    const summary = buildMonthSummary(mk, list);
+    await dbPut('months', summary);
+    Object.keys(summary.expenses).forEach(c => {
+      if (BUDGETS[c] === undefined) BUDGETS[c] = 0;
+    });
+  }
+
+  await saveConfig();
+  await loadAllMonths();
+  renderAll();
+  toast(`🔄 ${Object.keys(byMonth).length}ヶ月分を再集計しました`);
 }
 
 // ========================================
@@ -1452,6 +5636,7 @@ function pcsv(line) {
 /**
  * 対象月を自動検出
  * 優先順位: 1. ファイル名の後ろの日付 → 2. ファイル名のYYYY-MMパターン → 3. 現在月
+ * 日付から検出する場合は会計期間の開始日を考慮する
  * @param {string} filename - CSVファイル名
  * @returns {string} 対象月（YYYY-MM形式）
  */
@@ -1463,22 +5648,19 @@ function detectTargetMonth(filename) {
       if (dateRangeMatch) {
         // 後ろの日付から年月を抽出
         const endDate = dateRangeMatch[2].replace(/_/g, '-');
-        const endDateParts = endDate.match(/(\d{4})-(\d{2})-(\d{2})/);
-        if (endDateParts) {
-          const year = endDateParts[1];
-          const month = endDateParts[2];
-          console.log('対象月検出（ファイル名の後ろの日付）:', `${year}-${month}`);
-          return `${year}-${month}`;
+        const period = periodOfDate(endDate);
+        if (period) {
+          console.log('対象月検出（ファイル名の後ろの日付）:', period.replace('/', '-'));
+          return period.replace('/', '-');
         }
       }
 
       // 2. ファイル名から単一の日付を抽出（例：2026-01-22 → 2026-01）
       const singleDateMatch = filename.match(/(\d{4})[-_](\d{2})[-_](\d{2})/);
       if (singleDateMatch) {
-        const year = singleDateMatch[1];
-        const month = singleDateMatch[2];
-        console.log('対象月検出（ファイル名の日付）:', `${year}-${month}`);
-        return `${year}-${month}`;
+        const period = periodOfDate(`${singleDateMatch[1]}-${singleDateMatch[2]}-${singleDateMatch[3]}`);
+        console.log('対象月検出（ファイル名の日付）:', period.replace('/', '-'));
+        return period.replace('/', '-');
       }
 
       // 3. ファイル名から年月パターンを抽出（例：mf_202601.csv → 2026-01）
@@ -1492,22 +5674,29 @@ function detectTargetMonth(filename) {
     console.error('対象月検出エラー:', e);
   }
 
-  // 4. 検出できない場合は現在月
-  const now = new Date();
-  const defaultMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  // 4. 検出できない場合は現在の会計期間
+  const defaultMonth = currentPeriod().replace('/', '-');
   console.log('対象月検出（デフォルト）:', defaultMonth);
   return defaultMonth;
 }
 
 /**
- * マネーフォワードCSVをパースして保存
- * @param {string} text - CSVテキスト
- * @param {string} filename - ファイル名
- * @param {string} targetMonth - 対象月（YYYY-MM形式）
+ * 日付文字列から月キーを取得
+ * @param {string} dt - 日付（"2026/01/22" または "2026-01-22" 形式）
+ * @returns {string} 月キー（例: "2026/01"）、解釈できない場合は空文字
  */
-async function parseMF(text, filename, targetMonth) {
-  console.log('parseMF開始。ファイル名:', filename, '対象月:', targetMonth, 'テキスト長:', text ? text.length : 0);
+function monthOfDate(dt) {
+  const m = (dt || '').match(/(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})/);
+  if (!m) return '';
+  return `${m[1]}/${m[2].padStart(2, '0')}`;
+}
 
+/**
+ * マネーフォワードCSVを取引行の配列に変換（計算対象外は除外、振替は transfer: true を付けて残す）
+ * @param {string} text - CSVテキスト
+ * @returns {{rows: Array<{date: string, amount: number, category: string, subcategory: string, account: string, content: string, mfId: string}>, skipped: number}} 取引行とスキップ件数
+ */
+function readMFRows(text) {
   if (!text) {
     throw new Error('CSVテキストが空です');
   }
@@ -1530,176 +5719,233 @@ async function parseMF(text, filename, targetMonth) {
   const iX = fc('振替');
   const iCo = fc('内容');
   const iD = fc('日付');
+  const iId = header.indexOf('ID');
+  const iM = fc('メモ');
 
-  console.log('列インデックス - 計算対象:', iC, '金額:', iA, '大項目:', iCat, '中項目:', iSub, '金融機関:', iAcc, '振替:', iX, '内容:', iCo, '日付:', iD);
+  console.log('列インデックス - 計算対象:', iC, '金額:', iA, '大項目:', iCat, '中項目:', iSub, '金融機関:', iAcc, '振替:', iX, '内容:', iCo, '日付:', iD, 'ID:', iId);
 
   if (iA === -1) throw new Error('金額列が見つかりません');
 
-  // 月キーに変換（"2025-01" → "2025/01"）
-  const mk = targetMonth.includes('-') ? targetMonth.replace(/-/g, '/') : targetMonth;
-  console.log('月キー:', mk);
-
-  const mm = {
-    [mk]: {
-      income: 0,
-      points: 0,
-      incomeDetail: {},
-      expenses: {},
-      iF: {},        // 収入フロー
-      eF: {},        // 支出フロー
-      nc: {}         // ノードカラム
-    }
-  };
-  const txnBatch = [];
-  const fCols = ["#22c55e", "#f59e0b", "#ec4899", "#a855f7", "#3b82f6", "#06b6d4", "#64748b", "#84cc16"];
-
-  console.log('CSV解析ループ開始。データ行数:', lines.length - 1);
-  let processedCount = 0, skippedCount = 0;
+  const rows = [];
+  let skipped = 0;
 
-  // 各行を処理
   for (let i = 1; i < lines.length; i++) {
     try {
       const c = pcsv(lines[i]);
-      if (c.length <= iA) { skippedCount++; continue; }
-      if (iC !== -1 && c[iC] !== '1') { skippedCount++; continue; }  // 計算対象外
-      if (iX !== -1 && c[iX] === '1') { skippedCount++; continue; }  // 振替
+      if (c.length <= iA) { skipped++; continue; }
+      const transfer = iX !== -1 && c[iX] === '1';  // 振替（計算対象外でも口座間の移動として保存）
+      if (!transfer && iC !== -1 && c[iC] !== '1') { skipped++; continue; }  // 計算対象外
 
-      const amt = parseInt(c[iA]) || 0;
-      const cat = iCat !== -1 ? c[iCat] : '不明';
-      const sub = iSub !== -1 ? c[iSub] : '';
       let acc = iAcc !== -1 ? c[iAcc] : '不明';
       acc = acc.replace(/\(.*?\)/g, '').replace(/（.*?）/g, '').trim();
       if (acc.length > 14) acc = acc.substring(0, 14);
-      const co = iCo !== -1 ? c[iCo] : '';
-      const dt = iD !== -1 ? c[iD] : '';
-      const md = mm[mk];
-
-      if (amt > 0) {
-        // ポイント等は別集計
-        if (/ポイント|キャッシュバック|利息|プレゼント/i.test(co)) {
-          md.points += amt;
-          processedCount++;
-          continue;
-        }
 
-        // 収入
-        md.income += amt;
-        let label = 'その他収入';
-        if (sub.includes('給与') || co.includes('給料')) label = '給与';
-        else if (cat.includes('交通費') || sub.includes('交通費')) label = '交通費支給';
-
-        const dk = `${label}（${acc}）`;
-        md.incomeDetail[dk] = (md.incomeDetail[dk] || 0) + amt;
-
-        // Sankey用：左列ラベルに金融機関名も含める
-        const fk = `${dk}|||${acc}`;
-        md.iF[fk] = (md.iF[fk] || 0) + amt;
-        md.nc[dk] = 0;   // 左列："給与（三井住友銀行）"
-        md.nc[acc] = 1;   // 中央列："三井住友銀行"
-
-        // 収入取引明細を保存
-        txnBatch.push({
-          month: mk,
-          monthCat: `${mk}|||income|||${dk}`,
-          date: dt,
-          content: co.substring(0, 30),
-          amount: amt,
-          account: acc,
-          category: 'income',
-          subcategory: label
-        });
-      } else {
-        // 支出
-        md.expenses[cat] = (md.expenses[cat] || 0) + Math.abs(amt);
-        const fk = `${acc}|||${cat}`;
-        md.eF[fk] = (md.eF[fk] || 0) + Math.abs(amt);
-        md.nc[acc] = 1;
-        md.nc[cat] = 2;
-
-        // 取引明細を保存
-        txnBatch.push({
-          month: mk,
-          monthCat: `${mk}|||${cat}`,
-          date: dt,
-          content: co.substring(0, 30),
-          amount: amt,
-          account: acc,
-          category: cat,
-          subcategory: sub
-        });
-      }
-      processedCount++;
+      rows.push({
+        date: iD !== -1 ? c[iD] : '',
+        amount: parseInt(c[iA]) || 0,
+        category: iCat !== -1 ? c[iCat] : '不明',
+        subcategory: iSub !== -1 ? c[iSub] : '',
+        account: acc,
+        content: iCo !== -1 ? c[iCo] : '',
+        mfId: iId !== -1 ? c[iId] : '',
+        memo: iM !== -1 ? (c[iM] || '').trim() : '',
+        transfer
+      });
     } catch (lineError) {
       console.error(`行${i}の処理エラー:`, lineError, lines[i]);
       throw new Error(`行${i}の処理に失敗しました: ${lineError.message}`);
     }
   }
 
-  console.log('CSV解析完了。処理件数:', processedCount, 'スキップ件数:', skippedCount);
+  return { rows, skipped };
+}
 
-  // IndexedDBに保存
-  console.log('データベース保存開始');
-  try {
-    // 月データを保存
-    for (const [monthKey, md] of Object.entries(mm)) {
-      const sf = [];
-      let ci = 0;
-      console.log('月データ処理中:', monthKey);
+/**
+ * 取引行の振り分け先の月キー（会計期間）を取得
+ * @param {Object} row - readMFRows() の取引行
+ * @param {string} mk - 対象月キー（まとめ取り込み時・日付不明時の振り分け先）
+ * @param {string} mode - 取り込み方法（"split": 日付で振り分け / "collapse": 対象月にまとめる）
+ * @returns {string} 月キー
+ */
+function importMonthOf(row, mk, mode) {
+  if (mode !== 'split') return mk;
+  return periodOfDate(row.date) || mk;
+}
 
-      // 収入フローを追加
-      Object.entries(md.iF).sort((a, b) => b[1] - a[1]).forEach(([key, v]) => {
-        if (v < 100) return;
-        const [from, to] = key.split('|||');
-        sf.push({ from, to, amount: v, color: fCols[0] });
-      });
+/**
+ * CSVの取引行を取引明細レコードに変換
+ * @param {Object} r - readMFRows() の取引行
+ * @param {string} mk - 月キー
+ * @returns {Object} transactions ストアのレコード
+ */
+function rowToTxn(r, mk) {
+  const base = {
+    month: mk,
+    date: r.date,
+    content: r.content.substring(0, 30),
+    amount: r.amount,
+    account: r.account
+  };
 
-      // 支出フローを追加
-      Object.entries(md.eF).sort((a, b) => b[1] - a[1]).forEach(([key, v]) => {
-        if (v < 500) return;
-        const [from, to] = key.split('|||');
-        ci++;
-        sf.push({ from, to, amount: v, color: fCols[ci % fCols.length] });
-      });
+  let t;
+  if (r.transfer) {
+    // 振替（口座間の移動）は収支に含めない
+    t = { ...base, category: 'transfer', subcategory: '', mfCategory: r.category, mfSubcategory: r.subcategory };
+  } else if (r.amount > 0) {
+    // 収入の分類（収入ラベル / ポイント等 / 返金）。再適用できるよう元の大項目・中項目を保持
+    t = { ...base, ...classifyIncome(r), mfCategory: r.category, mfSubcategory: r.subcategory };
+  } else {
+    // 自動分類ルールで大項目・中項目を書き換え
+    const rule = findRecatRule(r);
+    t = rule
+      ? { ...base, category: rule.category, subcategory: rule.subcategory || r.subcategory, mfCategory: r.category, mfSubcategory: r.subcategory }
+      : { ...base, category: r.category, subcategory: r.subcategory };
+  }
+  t.monthCat = txnMonthCat(t);
+  // ID列がなければ取り込み時の内容キーを保持（編集フォームで日付・内容などを変えても再取込で照合できるように）
+  if (r.mfId) t.mfId = r.mfId;
+  else t.csvKey = txnContentKey(t);
+  if (r.memo) t.memo = r.memo.substring(0, MEMO_LEN);
+  return t;
+}
 
-      await dbPut('months', {
-        month: monthKey,
-        income: md.income,
-        points: md.points,
-        incomeDetail: md.incomeDetail,
-        expenses: md.expenses,
-        sankeyFlows: sf,
-        nodeColumn: md.nc
-      });
+/**
+ * 取引の内容キー（日付+内容+金額+金融機関）を取得
+ * @param {Object} t - 取引明細
+ * @returns {string} 内容キー
+ */
+function txnContentKey(t) {
+  return `${t.date}|${t.content}|${t.amount}|${t.account}`;
+}
 
-      // 新しいカテゴリの予算を初期化
-      Object.keys(md.expenses).forEach(c => {
-        if (BUDGETS[c] === undefined) BUDGETS[c] = 0;
-      });
-    }
-    console.log('月データ保存完了');
+/**
+ * 取引の重複判定用フィンガープリントを取得
+ * マネーフォワードのID列があればそれを、なければ取り込み時の内容キー（csvKey。なければ現在の内容キー）を使用
+ * @param {Object} t - 取引明細
+ * @returns {string} フィンガープリント
+ */
+function txnFingerprint(t) {
+  return t.mfId ? `mf:${t.mfId}` : (t.csvKey || txnContentKey(t));
+}
+
+/**
+ * 取引のCSV上の値（自動分類ルール・収入の分類を適用する前の大項目・中項目）を取得
+ * @param {Object} t - 取引明細
+ * @returns {Object} 日付・内容・金額・金融機関・大項目・中項目
+ */
+function txnCsvFields(t) {
+  return {
+    date: t.date,
+    content: t.content,
+    amount: t.amount,
+    account: t.account,
+    category: t.mfCategory !== undefined ? t.mfCategory : t.category,
+    subcategory: t.mfSubcategory !== undefined ? t.mfSubcategory : t.subcategory
+  };
+}
 
-    // トランザクションの競合を避けるため少し待機
-    await new Promise(resolve => setTimeout(resolve, 100));
+/**
+ * 取り込む取引を既存の取引とマージ（重複はスキップ、ID一致でCSVの内容が変わったものは更新）
+ * 編集フォームで変更した取引（edited / categoryLocked）は上書きせず、件数だけ返す
+ * @param {Array} incoming - 取り込む取引明細
+ * @param {Array} existing - 保存済みの取引明細
+ * @returns {{added: Array, updated: Array, skipped: number, kept: number}} 追加・更新する取引とスキップ・保持件数
+ */
+function mergeTxns(incoming, existing) {
+  // フィンガープリント → 保存済み取引（同一内容の取引が複数ある場合に備えて配列で保持）
+  const byFp = new Map();
+  const byKey = new Map();
+  const push = (map, k, t) => { if (!map.has(k)) map.set(k, []); map.get(k).push(t); };
+  existing.forEach(t => {
+    push(byFp, txnFingerprint(t), t);
+    if (!t.mfId) push(byKey, t.csvKey || txnContentKey(t), t);
+  });
 
-    console.log('取引データ保存開始。件数:', txnBatch.length);
+  const take = (map, k) => {
+    const arr = map.get(k);
+    return arr && arr.length ? arr.shift() : null;
+  };
 
-    // 取引明細を保存
-    if (useFirestore && currentUser) {
-      await fsBatchWrite(fsPath('transactions'), txnBatch);
-      console.log('取引データ保存完了（Firestore）');
+  const added = [], updated = [];
+  let skipped = 0, kept = 0;
+
+  incoming.forEach(t => {
+    // ID列なしで取り込んだ既存データとは内容キーで照合
+    const old = take(byFp, txnFingerprint(t)) || (t.mfId ? take(byKey, txnContentKey(t)) : null);
+    if (!old) {
+      added.push(t);
+    } else if (t.mfId && (Object.entries(txnCsvFields(t)).some(([f, v]) => txnCsvFields(old)[f] !== v) || (t.memo && t.memo !== old.memo))) {
+      if (old.edited || old.categoryLocked) {
+        kept++;
+        return;
+      }
+      // タグ・共有費の設定は保存済みの取引のものを残す（メモはCSVに値があれば更新）
+      const { mfCategory, mfSubcategory, ...rest } = old;
+      updated.push({ ...rest, ...t, id: old.id });
     } else {
-      if (!db) throw new Error('データベースが初期化されていません');
-      await new Promise((resolve, reject) => {
-        try {
-          const tx = db.transaction('transactions', 'readwrite');
-          const store = tx.objectStore('transactions');
-          for (const t of txnBatch) { store.put(t); }
-          tx.oncomplete = () => { console.log('取引データ保存完了'); resolve(); };
-          tx.onerror = e => { console.error('トランザクションエラー:', e); reject(e); };
-        } catch (txError) { console.error('トランザクション作成エラー:', txError); reject(txError); }
-      });
+      skipped++;
+    }
+  });
+
+  return { added, updated, skipped, kept };
+}
+
+/**
+ * マネーフォワードCSVをパースして保存
+ * @param {string} text - CSVテキスト
+ * @param {string} filename - ファイル名
+ * @param {string} targetMonth - 対象月（YYYY-MM形式）
+ * @param {string} mode - 取り込み方法（"split": 日付で月ごとに振り分け / "collapse": 対象月にまとめる）
+ * @param {string} strategy - 既存データの扱い（"overwrite": 削除済み前提で追加 / "merge": 重複をスキップして追加）
+ */
+async function parseMF(text, filename, targetMonth, mode = 'collapse', strategy = 'overwrite') {
+  console.log('parseMF開始。ファイル名:', filename, '対象月:', targetMonth, '取り込み方法:', mode, '既存データ:', strategy, 'テキスト長:', text ? text.length : 0);
+
+  const { rows, skipped } = readMFRows(text);
+
+  // 月キーに変換（"2025-01" → "2025/01"）
+  const mk = targetMonth.includes('-') ? targetMonth.replace(/-/g, '/') : targetMonth;
+  console.log('月キー:', mk);
+
+  // 月ごとに取引明細を振り分け
+  const byMonth = {};
+  rows.forEach(r => {
+    const rowMonth = importMonthOf(r, mk, mode);
+    (byMonth[rowMonth] = byMonth[rowMonth] || []).push(rowToTxn(r, rowMonth));
+  });
+  console.log('CSV解析完了。処理件数:', rows.length, 'スキップ件数:', skipped);
+
+  let addedCount = 0, skippedCount = 0, updatedCount = 0, keptCount = 0;
+  let movedTxns = null;
+
+  console.log('データベース保存開始');
+  try {
+    for (const [monthKey, txns] of Object.entries(byMonth)) {
+      console.log('月データ処理中:', monthKey);
+      let writes = txns;
+
+      if (strategy === 'merge') {
+        // 編集フォームで日付を変えて別の月に移った取引も照合対象に含める
+        const existing = [
+          ...await dbGetByIndex('transactions', 'month', monthKey),
+          ...(movedTxns || (movedTxns = (await dbGetAll('transactions')).filter(t => t.edited))).filter(t => t.month !== monthKey)
+        ];
+        const r = mergeTxns(txns, existing);
+        writes = [...r.updated, ...r.added];
+        skippedCount += r.skipped;
+        updatedCount += r.updated.length;
+        keptCount += r.kept;
+        addedCount += r.added.length;
+      } else {
+        addedCount += txns.length;
+      }
+
+      console.log('取引データ保存開始。件数:', writes.length);
+      await dbBulkPut('transactions', writes);
     }
 
+    // 保存済みの取引明細から月次サマリーを再計算
+    await rebuildMonths(Object.keys(byMonth));
     console.log('データベース保存完了');
   } catch (dbError) {
     console.error('データベース保存エラー:', dbError);
@@ -1709,7 +5955,14 @@ async function parseMF(text, filename, targetMonth) {
   await saveConfig();
   await loadAllMonths();
   selectedMonth = allMonths[allMonths.length - 1];
-  toast(`✅ ${filename}を${mk}として取り込みました`);
+  const imported = Object.keys(byMonth).sort();
+  const where = mode === 'split' ? `${imported.length}ヶ月分（${imported.join('・')}）に振り分けて` : `${mk}として`;
+  const anomalyNote = await anomalySummary(imported);
+  if (strategy === 'merge') {
+    toast(`✅ ${filename}を${where}マージしました（追加${addedCount}件・スキップ${skippedCount}件・更新${updatedCount}件${keptCount ? `・手動で編集済みのため保持${keptCount}件` : ''}）${anomalyNote}`, 5000);
+  } else {
+    toast(`✅ ${filename}を${where}取り込みました${anomalyNote}`, anomalyNote ? 5000 : mode === 'split' ? 4000 : 2500);
+  }
   renderAll();
 }
 
@@ -1776,7 +6029,7 @@ function handleFile(file) {
 async function exportData() {
   const months = await dbGetAll('months');
   const txns = await dbGetAll('transactions');
-  const config = { budgets: BUDGETS, fixed: [...FIXED_CATS] };
+  const config = { budgets: BUDGETS, subBudgets: SUB_BUDGETS, budgetOptions: BUDGET_OPTIONS, budgetOverrides: BUDGET_OVERRIDES, fixed: [...FIXED_CATS], periodStart: PERIOD_START_DAY, recatRules: RECAT_RULES, incomeRules: INCOME_RULES, refundNetting: REFUND_NETTING, budgetAlert: BUDGET_ALERT, savingsGoals: SAVINGS_GOALS, accounts: ACCOUNTS, balanceSnapshots: BALANCE_SNAPSHOTS, cardBilling: CARD_BILLING, recurring: recurringMarksValue(), anomalyThresholds: ANOMALY_THRESHOLDS, anomalyDismissed: [...ANOMALY_DISMISSED], merchantAliases: MERCHANT_ALIASES, household: HOUSEHOLD };
 
   const blob = new Blob([JSON.stringify({ months, transactions: txns, config }, null, 2)], {
     type: 'application/json'
@@ -1803,40 +6056,47 @@ async function importData(file) {
   }
 
   // 月データの検証・インポート
-  let monthCount = 0;
+  const monthKeys = [];
   if (Array.isArray(data.months)) {
     for (const m of data.months) {
       if (!m || typeof m !== 'object') continue;
       if (typeof m.month !== 'string' || !/^\d{4}\/\d{2}$/.test(m.month)) continue;
       if (typeof m.income !== 'number') continue;
       await dbPut('months', m);
-      monthCount++;
+      monthKeys.push(m.month);
     }
   }
 
-  // 取引データの検証・インポート
+  // 取引データの検証・インポート（取引明細のみのバックアップにも対応）
+  const txnMonths = new Set();
   if (Array.isArray(data.transactions)) {
     const validTxns = data.transactions.filter(t => {
       if (!t || typeof t !== 'object') return false;
-      if (typeof t.month !== 'string') return false;
+      if (typeof t.month !== 'string' || !/^\d{4}\/\d{2}$/.test(t.month)) return false;
+      if (typeof t.amount !== 'number') return false;
       // 文字列フィールドの型チェックと長さ制限
-      for (const f of ['content', 'account', 'category', 'subcategory', 'date', 'month', 'monthCat']) {
+      for (const f of ['content', 'account', 'category', 'subcategory', 'date', 'month', 'monthCat', 'mfId', 'csvKey', 'mfCategory', 'mfSubcategory']) {
         if (t[f] !== undefined && typeof t[f] !== 'string') return false;
         if (typeof t[f] === 'string' && t[f].length > 200) t[f] = t[f].substring(0, 200);
       }
+      if (t.memo !== undefined && typeof t.memo !== 'string') delete t.memo;
+      if (typeof t.memo === 'string') t.memo = t.memo.substring(0, MEMO_LEN);
+      if (t.tags !== undefined) {
+        const tags = Array.isArray(t.tags) ? parseTags(t.tags) : [];
+        if (tags.length) t.tags = tags;
+        else delete t.tags;
+      }
+      if (t.split !== undefined) {
+        const split = sanitizeSplit(t.split);
+        if (split) t.split = split;
+        else delete t.split;
+      }
+      t.monthCat = txnMonthCat(t);
       return true;
     });
 
-    if (validTxns.length) {
-      if (useFirestore && currentUser) {
-        await fsBatchWrite(fsPath('transactions'), validTxns);
-      } else {
-        const tx = db.transaction('transactions', 'readwrite');
-        const st = tx.objectStore('transactions');
-        validTxns.forEach(t => st.put(t));
-        await new Promise(r => { tx.oncomplete = r });
-      }
-    }
+    await dbBulkPut('transactions', validTxns);
+    validTxns.forEach(t => txnMonths.add(t.month));
   }
 
   // 設定データの検証・インポート
@@ -1849,15 +6109,158 @@ async function importData(file) {
         }
       }
     }
+    if (data.config.subBudgets && typeof data.config.subBudgets === 'object') {
+      SUB_BUDGETS = {};
+      for (const [c, subs] of Object.entries(data.config.subBudgets)) {
+        if (c.length > 50 || !subs || typeof subs !== 'object') continue;
+        for (const [s, v] of Object.entries(subs)) {
+          if (s.length <= 50 && typeof v === 'number') (SUB_BUDGETS[c] = SUB_BUDGETS[c] || {})[s] = v;
+        }
+      }
+    }
+    if (data.config.budgetOptions && typeof data.config.budgetOptions === 'object') {
+      BUDGET_OPTIONS = {};
+      for (const [k, o] of Object.entries(data.config.budgetOptions)) {
+        if (k.length <= 50 && o && typeof o === 'object') BUDGET_OPTIONS[k] = { annual: o.annual === true, rollover: o.rollover === true };
+      }
+    }
+    if (data.config.budgetOverrides && typeof data.config.budgetOverrides === 'object') {
+      BUDGET_OVERRIDES = {};
+      for (const [m, cats] of Object.entries(data.config.budgetOverrides)) {
+        if (!/^\d{4}\/\d{2}$/.test(m) || !cats || typeof cats !== 'object') continue;
+        for (const [k, v] of Object.entries(cats)) {
+          if (k.length <= 50 && typeof v === 'number') (BUDGET_OVERRIDES[m] = BUDGET_OVERRIDES[m] || {})[k] = v;
+        }
+      }
+    }
     if (Array.isArray(data.config.fixed)) {
       FIXED_CATS = new Set(data.config.fixed.filter(f => typeof f === 'string' && f.length <= 50));
     }
-    await saveConfig();
+    if (Number.isInteger(data.config.periodStart) && data.config.periodStart >= 1 && data.config.periodStart <= 28) {
+      PERIOD_START_DAY = data.config.periodStart;
+      await dbPut('config', { key: 'periodStart', value: PERIOD_START_DAY });
+    }
+    if (Array.isArray(data.config.recatRules)) {
+      RECAT_RULES = data.config.recatRules.filter(r => r && typeof r === 'object' && typeof r.category === 'string').map(r => ({
+        field: RULE_FIELDS.some(f => f.key === r.field) ? r.field : 'content',
+        type: r.type === 'regex' ? 'regex' : 'substring',
+        pattern: String(r.pattern || '').substring(0, 200),
+        minAmount: Number(r.minAmount) || 0,
+        maxAmount: Number(r.maxAmount) || 0,
+        category: r.category.substring(0, 50),
+        subcategory: String(r.subcategory || '').substring(0, 50)
+      }));
+      await saveRecatRules();
+    }
+    if (Array.isArray(data.config.incomeRules)) {
+      INCOME_RULES = data.config.incomeRules.filter(r => r && typeof r === 'object' && typeof r.pattern === 'string').map(r => ({
+        field: INCOME_RULE_FIELDS.some(f => f.key === r.field) ? r.field : 'content',
+        type: r.type === 'regex' ? 'regex' : 'substring',
+        pattern: r.pattern.substring(0, 200),
+        action: INCOME_RULE_ACTIONS.some(a => a.key === r.action) ? r.action : 'label',
+        label: String(r.label || '').substring(0, 50)
+      }));
+      await saveIncomeRules();
+    }
+    if (typeof data.config.refundNetting === 'boolean') {
+      REFUND_NETTING = data.config.refundNetting;
+      await dbPut('config', { key: 'refundNetting', value: REFUND_NETTING });
+    }
+    const ba = data.config.budgetAlert;
+    if (ba && Number.isInteger(ba.warn) && Number.isInteger(ba.over) && ba.warn > 0 && ba.warn <= ba.over) {
+      BUDGET_ALERT = { warn: ba.warn, over: ba.over };
+      await dbPut('config', { key: 'budgetAlert', value: BUDGET_ALERT });
+    }
+    const sg = data.config.savingsGoals;
+    if (sg && typeof sg === 'object') {
+      const month = v => typeof v === 'string' && /^\d{4}\/\d{2}$/.test(v);
+      SAVINGS_GOALS = {
+        rate: Number.isInteger(sg.rate) && sg.rate >= 0 && sg.rate <= 100 ? sg.rate : 25,
+        amount: Number.isInteger(sg.amount) && sg.amount >= 0 ? sg.amount : 0,
+        goals: (Array.isArray(sg.goals) ? sg.goals : []).filter(g => g && month(g.start) && month(g.due) && typeof g.target === 'number').map(g => ({
+          name: String(g.name || '').substring(0, 30),
+          target: g.target,
+          start: g.start,
+          due: g.due,
+          share: Number.isInteger(g.share) && g.share >= 0 && g.share <= 100 ? g.share : 100
+        }))
+      };
+      await saveSavingsGoals();
+    }
+    if (data.config.accounts && typeof data.config.accounts === 'object') {
+      ACCOUNTS = {};
+      for (const [a, v] of Object.entries(data.config.accounts)) {
+        if (a.length <= 50 && v && typeof v.opening === 'number' && /^\d{4}\/\d{2}$/.test(v.since)) ACCOUNTS[a] = { opening: v.opening, since: v.since };
+      }
+    }
+    if (data.config.balanceSnapshots && typeof data.config.balanceSnapshots === 'object') {
+      BALANCE_SNAPSHOTS = {};
+      for (const [m, accs] of Object.entries(data.config.balanceSnapshots)) {
+        if (!/^\d{4}\/\d{2}$/.test(m) || !accs || typeof accs !== 'object') continue;
+        for (const [a, v] of Object.entries(accs)) {
+          if (a.length <= 50 && typeof v === 'number') (BALANCE_SNAPSHOTS[m] = BALANCE_SNAPSHOTS[m] || {})[a] = v;
+        }
+      }
+    }
+    await saveAccounts();
+    if (data.config.cardBilling && typeof data.config.cardBilling === 'object') {
+      const day = v => Number.isInteger(v) && v >= 0 && v <= 31;
+      CARD_BILLING = {};
+      for (const [a, v] of Object.entries(data.config.cardBilling)) {
+        if (a.length > 50 || !v || !day(v.close) || !day(v.pay)) continue;
+        CARD_BILLING[a] = { close: v.close, pay: v.pay, offset: v.offset === 2 ? 2 : 1, bank: String(v.bank || '').substring(0, 50) };
+      }
+      await saveCardBilling();
+    }
+    const at = data.config.anomalyThresholds;
+    if (at && typeof at === 'object') {
+      ANOMALY_THRESHOLDS = defaultAnomalyThresholds();
+      Object.keys(ANOMALY_OPTIONS).forEach(k => {
+        if (ANOMALY_OPTIONS[k].includes(at[k])) ANOMALY_THRESHOLDS[k] = at[k];
+      });
+      await dbPut('config', { key: 'anomalyThresholds', value: ANOMALY_THRESHOLDS });
+    }
+    if (Array.isArray(data.config.anomalyDismissed)) {
+      ANOMALY_DISMISSED = new Set(data.config.anomalyDismissed.filter(id => typeof id === 'string' && id.length <= 300));
+      await dbPut('config', { key: 'anomalyDismissed', value: [...ANOMALY_DISMISSED] });
+    }
+    if (Array.isArray(data.config.merchantAliases)) {
+      MERCHANT_ALIASES = data.config.merchantAliases.filter(a => a && typeof a.pattern === 'string' && typeof a.name === 'string').map(a => ({
+        pattern: a.pattern.substring(0, 50),
+        name: a.name.substring(0, 50)
+      }));
+      await saveMerchantAliases();
+    }
+    if (Array.isArray(data.config.recurring)) {
+      RECURRING_MARKS = await recurringMarksFrom(data.config.recurring);
+      await saveRecurringMarks();
+    }
+    const hh = data.config.household;
+    if (hh && typeof hh === 'object' && Array.isArray(hh.members)) {
+      const members = hh.members.filter(m => m && typeof m.name === 'string' && m.name.trim()).map(m => ({
+        name: m.name.trim().substring(0, 20),
+        share: typeof m.share === 'number' && m.share >= 0 ? m.share : 50
+      })).filter((m, i, arr) => arr.findIndex(x => x.name === m.name) === i);
+      const accounts = {}, sharedCats = {};
+      Object.entries(hh.accounts || {}).forEach(([a, m]) => {
+        if (typeof m === 'string' && members.some(x => x.name === m)) accounts[a.substring(0, 200)] = m;
+      });
+      Object.entries(hh.sharedCats || {}).forEach(([c, r]) => {
+        const split = r && typeof r === 'object' ? sanitizeSplit(r) : null;
+        sharedCats[c.substring(0, 200)] = typeof split === 'object' ? split : null;
+      });
+      HOUSEHOLD = { members, accounts, sharedCats };
+      await saveHousehold();
+    }
   }
 
+  // 取引明細のある月はサマリーを再計算（バックアップのサマリーとのズレを解消）
+  await rebuildMonths([...txnMonths]);
+  await saveConfig();
+
   await loadAllMonths();
   renderAll();
-  toast(`📥 ${monthCount}ヶ月分を読み込みました`);
+  toast(`📥 ${new Set([...monthKeys, ...txnMonths]).size}ヶ月分を読み込みました`);
 }
 
 /**
@@ -1869,14 +6272,34 @@ async function clearAllData() {
   await dbClear('config');
 
   BUDGETS = {};
+  SUB_BUDGETS = {};
+  BUDGET_OPTIONS = {};
+  BUDGET_OVERRIDES = {};
   FIXED_CATS = new Set(["住宅", "保険", "通信費", "教養・教育"]);
   allMonths = [];
   selectedMonth = '';
+  catTrendSel = [];
   selectedYear = null;
   periodMode = false;
   monthSummaries = {};
 
-  // テーマ・フォントもリセット
+  // テーマ・フォント・会計期間・分類ルールもリセット
+  PERIOD_START_DAY = 1;
+  RECAT_RULES = [];
+  INCOME_RULES = defaultIncomeRules();
+  REFUND_NETTING = true;
+  BUDGET_ALERT = { warn: 80, over: 100 };
+  SAVINGS_GOALS = defaultSavingsGoals();
+  ACCOUNTS = {};
+  BALANCE_SNAPSHOTS = {};
+  assetSel = [];
+  CARD_BILLING = {};
+  RECURRING_MARKS = new Map();
+  ANOMALY_THRESHOLDS = defaultAnomalyThresholds();
+  ANOMALY_DISMISSED = new Set();
+  MERCHANT_ALIASES = defaultMerchantAliases();
+  merchantCache = new Map();
+  HOUSEHOLD = { members: [], accounts: {}, sharedCats: {} };
   currentTheme = 'dark';
   document.documentElement.removeAttribute('data-theme');
   currentFontScale = 1.15;
@@ -1930,6 +6353,11 @@ document.getElementById('fileInput').addEventListener('change', e => {
   e.target.value = '';
 });
 
+document.getElementById('assetInput').addEventListener('change', e => {
+  if (e.target.files[0]) importAssetCSV(e.target.files[0]);
+  e.target.value = '';
+});
+
 document.getElementById('exportBtn').addEventListener('click', exportData);
 document.getElementById('importBtn').addEventListener('click', () => document.getElementById('importInput').click());
 document.getElementById('importInput').addEventListener('change', e => {